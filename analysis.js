@@ -0,0 +1,371 @@
+/* analysis.js
+   Onset, pitch, drum-hit and tempo analysis for BIRDWAVE.fm. No DOM, no Tone: everything
+   works on AudioBuffer-shaped objects ({ sampleRate, length, numberOfChannels, getChannelData })
+   and Float32Arrays, so the page loads it as a plain script and Node's test runner requires it.
+*/
+'use strict';
+
+function mixToMono(audioBuffer, maxSeconds = Infinity) {
+  const length = Math.min(audioBuffer.length, Math.floor(maxSeconds * audioBuffer.sampleRate));
+  const mono = new Float32Array(length);
+  const channels = audioBuffer.numberOfChannels;
+  for (let ch = 0; ch < channels; ch++) {
+    const data = audioBuffer.getChannelData(ch);
+    for (let i = 0; i < length; i++) mono[i] += data[i] / channels;
+  }
+  return mono;
+}
+
+/* in-place iterative radix-2 FFT; re/im lengths must be a power of two */
+function fftInPlace(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len >> 1;
+    const ang = -2 * Math.PI / len;
+    const wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < half; k++) {
+        const a = i + k, b = a + half;
+        const br = re[b] * cr - im[b] * ci;
+        const bi = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - br; im[b] = im[a] - bi;
+        re[a] += br; im[a] += bi;
+        const ncr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = ncr;
+      }
+    }
+  }
+}
+
+function rmsOf(samples, start, end) {
+  start = Math.max(0, Math.floor(start));
+  end = Math.min(samples.length, Math.floor(end));
+  if (end <= start) return 0;
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / (end - start));
+}
+
+/* spectral-flux onsets above `minFreq` (skips wind and traffic rumble) */
+function detectOnsets(samples, sampleRate, { frameSize = 1024, hop = 512, minFreq = 500, minGap = 0.08, sensitivity = 1.5 } = {}) {
+  const frames = Math.max(0, Math.floor((samples.length - frameSize) / hop) + 1);
+  const window = new Float32Array(frameSize);
+  for (let i = 0; i < frameSize; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSize - 1));
+  const lowBin = Math.max(1, Math.floor(minFreq / sampleRate * frameSize));
+  const bins = frameSize / 2;
+
+  const flux = new Float32Array(frames);
+  const frameRms = new Float32Array(frames);
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  let prev = new Float32Array(bins);
+  let cur = new Float32Array(bins);
+
+  for (let f = 0; f < frames; f++) {
+    const offset = f * hop;
+    let energy = 0;
+    for (let i = 0; i < frameSize; i++) {
+      const x = samples[offset + i];
+      energy += x * x;
+      re[i] = x * window[i];
+      im[i] = 0;
+    }
+    frameRms[f] = Math.sqrt(energy / frameSize);
+    fftInPlace(re, im);
+    let sum = 0;
+    for (let k = lowBin; k < bins; k++) {
+      cur[k] = Math.log1p(100 * Math.hypot(re[k], im[k]));
+      const d = cur[k] - prev[k];
+      if (d > 0) sum += d;
+    }
+    flux[f] = f === 0 ? 0 : sum;
+    const t = prev; prev = cur; cur = t;
+  }
+
+  const onsets = [];
+  const radius = 8;
+  const gapFrames = Math.max(1, Math.round(minGap * sampleRate / hop));
+  let lastPeak = -Infinity;
+  for (let f = 1; f < frames - 1; f++) {
+    let mean = 0, n = 0;
+    for (let j = Math.max(0, f - radius); j <= Math.min(frames - 1, f + radius); j++) { mean += flux[j]; n++; }
+    mean /= n;
+    const isPeak = flux[f] > flux[f - 1] && flux[f] >= flux[f + 1] && flux[f] > mean * sensitivity;
+    if (isPeak && f - lastPeak >= gapFrames) {
+      onsets.push({ time: (f * hop) / sampleRate, strength: flux[f] / (mean + 1e-9) });
+      lastPeak = f;
+    }
+  }
+  return { onsets, flux, frameRms, hop };
+}
+
+/* YIN fundamental estimate for the window starting at `start`; null when unvoiced */
+function estimatePitch(samples, sampleRate, start, { size = 2048, minFreq = 150, maxFreq = 10000, threshold = 0.15, minClarity = 0.5 } = {}) {
+  start = Math.max(0, Math.floor(start));
+  if (start + size > samples.length) return null;
+  const tauMin = Math.max(2, Math.floor(sampleRate / maxFreq));
+  const tauMax = Math.min(Math.ceil(sampleRate / minFreq), Math.floor(size / 2));
+  const w = size - tauMax;
+  const d = new Float64Array(tauMax + 1);
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let sum = 0;
+    for (let j = 0; j < w; j++) {
+      const diff = samples[start + j] - samples[start + j + tau];
+      sum += diff * diff;
+    }
+    d[tau] = sum;
+  }
+  const cmnd = new Float64Array(tauMax + 1);
+  cmnd[0] = 1;
+  let running = 0;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    running += d[tau];
+    cmnd[tau] = running > 0 ? d[tau] * tau / running : 1;
+  }
+
+  let best = -1;
+  for (let tau = tauMin; tau <= tauMax; tau++) {
+    if (cmnd[tau] < threshold) {
+      while (tau + 1 <= tauMax && cmnd[tau + 1] < cmnd[tau]) tau++;
+      best = tau;
+      break;
+    }
+  }
+  if (best === -1) {
+    best = tauMin;
+    for (let tau = tauMin; tau <= tauMax; tau++) if (cmnd[tau] < cmnd[best]) best = tau;
+  }
+  const clarity = 1 - cmnd[best];
+  if (clarity < minClarity) return null;
+
+  let tau = best;
+  if (best > tauMin && best < tauMax) {
+    const a = cmnd[best - 1], b = cmnd[best], c = cmnd[best + 1];
+    const denom = a - 2 * b + c;
+    if (denom !== 0) tau = best + 0.5 * (a - c) / denom;
+  }
+  const freq = sampleRate / tau;
+  return { freq, midi: 69 + 12 * Math.log2(freq / 440), clarity };
+}
+
+/*
+  Scores each onset by flux strength, loudness over the noise floor, pitch clarity and
+  whether the slice starts from relative quiet; then keeps the best `count` slices that are
+  at least `minSpacing` seconds apart, returned in time order.
+*/
+function analyzeHookSlices(audioBuffer, { count = 4, sliceDur = 0.14, minSpacing = 0.6, maxSeconds = 120 } = {}) {
+  const sr = audioBuffer.sampleRate;
+  const mono = mixToMono(audioBuffer, maxSeconds);
+  const { onsets, frameRms } = detectOnsets(mono, sr);
+  if (!onsets.length) return [];
+
+  const sortedRms = Array.from(frameRms).sort((a, b) => a - b);
+  const noiseFloor = sortedRms[Math.floor(sortedRms.length * 0.2)] || 1e-4;
+  const sliceLen = sliceDur * sr;
+
+  const candidates = onsets.map(o => {
+    const start = Math.floor(o.time * sr);
+    const sliceRms = rmsOf(mono, start, start + sliceLen);
+    const preRms = rmsOf(mono, start - 0.05 * sr, start);
+    let peak = 0;
+    for (let i = start; i < Math.min(mono.length, start + sliceLen); i++) peak = Math.max(peak, Math.abs(mono[i]));
+    const pitch = estimatePitch(mono, sr, start + 0.01 * sr);
+    const snr = sliceRms / (noiseFloor + 1e-6);
+    const score = Math.min(o.strength, 10)
+      * Math.log1p(snr)
+      * (pitch ? 0.5 + pitch.clarity : 0.5)
+      * (peak >= 0.99 ? 0.5 : 1)
+      * (preRms < sliceRms * 0.5 ? 1 : 0.6);
+    return {
+      time: Math.max(0, o.time - 0.005),
+      strength: o.strength,
+      midi: pitch ? pitch.midi : null,
+      freq: pitch ? pitch.freq : null,
+      clarity: pitch ? pitch.clarity : 0,
+      score
+    };
+  });
+
+  const picked = [];
+  candidates.sort((a, b) => b.score - a.score).forEach(c => {
+    if (picked.length >= count) return;
+    if (picked.every(p => Math.abs(p.time - c.time) >= minSpacing)) picked.push(c);
+  });
+  return picked.sort((a, b) => a.time - b.time);
+}
+
+/*
+  Bird drum kit: turns the recording's own transients into drum voices. Each strong onset is
+  described by brightness (spectral centroid), noisiness (spectral flatness) and loudness: the
+  brightest becomes the hat, the noisiest of the rest the snare, the loudest remaining one the
+  kick.
+  shapeDrumHit() then reshapes each slice so it sits where that drum would — slowed and
+  low-passed into a thump, or high-passed and clipped into a tick.
+*/
+const BIRD_KIT_SHAPES = {
+  kick: { length: 0.06, rate: 0.25, lowpass: 250, highpass: 0, decay: 0.09 },
+  snare: { length: 0.12, rate: 0.7, lowpass: 0, highpass: 200, decay: 0.06 },
+  hat: { length: 0.05, rate: 1, lowpass: 0, highpass: 4000, decay: 0.018 }
+};
+
+function spectralShape(samples, sampleRate, start, size = 1024) {
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let i = 0; i < size; i++) re[i] = (samples[start + i] || 0) * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1)));
+  fftInPlace(re, im);
+  const bins = size / 2;
+  let sum = 0, weighted = 0, logSum = 0;
+  for (let k = 1; k < bins; k++) {
+    const mag = Math.hypot(re[k], im[k]) + 1e-12;
+    sum += mag;
+    weighted += mag * k * sampleRate / size;
+    logSum += Math.log(mag);
+  }
+  return { centroid: weighted / sum, flatness: Math.exp(logSum / (bins - 1)) / (sum / (bins - 1)) };
+}
+
+/* onset times mark the start of the detecting frame, up to a frame early; find the actual attack */
+function attackStart(samples, start, searchLength = 2048) {
+  const end = Math.min(samples.length, start + searchLength);
+  let peak = 0;
+  for (let i = start; i < end; i++) peak = Math.max(peak, Math.abs(samples[i]));
+  for (let i = start; i < end; i++) if (Math.abs(samples[i]) >= peak * 0.2) return Math.max(start, i - 32);
+  return start;
+}
+
+/* resample by `rate`, one-pole filters, exponential decay, peak-normalized to 0.9 */
+function shapeDrumHit(samples, sampleRate, start, { length, rate, lowpass, highpass, decay }) {
+  const out = new Float32Array(Math.floor(length / rate * sampleRate));
+  const lpA = lowpass ? 1 - Math.exp(-2 * Math.PI * lowpass / sampleRate) : 1;
+  const hpA = Math.exp(-2 * Math.PI * highpass / sampleRate);
+  let lp = 0, hpIn = 0, hpOut = 0, peak = 0;
+  for (let i = 0; i < out.length; i++) {
+    const pos = start + i * rate;
+    const j = Math.floor(pos), frac = pos - j;
+    let x = (samples[j] || 0) * (1 - frac) + (samples[j + 1] || 0) * frac;
+    lp += lpA * (x - lp);
+    x = lp;
+    if (highpass) { hpOut = hpA * (hpOut + x - hpIn); hpIn = x; x = hpOut; }
+    x *= Math.exp(-i / sampleRate / decay) * Math.min(1, i / (0.001 * sampleRate)); // 1 ms fade-in, no click
+    out[i] = x;
+    peak = Math.max(peak, Math.abs(x));
+  }
+  if (peak > 0) for (let i = 0; i < out.length; i++) out[i] *= 0.9 / peak;
+  return out;
+}
+
+/* { sampleRate, voices: { kick, snare, hat: { time, data } } }, or null without onsets */
+function analyzeBirdKit(audioBuffer, { maxSeconds = 120, pool = 24 } = {}) {
+  const sr = audioBuffer.sampleRate;
+  const mono = mixToMono(audioBuffer, maxSeconds);
+  const { onsets } = detectOnsets(mono, sr);
+  const candidates = onsets.slice().sort((a, b) => b.strength - a.strength).slice(0, pool).map(o => {
+    const start = attackStart(mono, Math.floor(o.time * sr));
+    return { start, loudness: rmsOf(mono, start, start + 0.03 * sr), ...spectralShape(mono, sr, start) };
+  }).filter(c => c.loudness > 0);
+  if (!candidates.length) return null;
+
+  // with fewer than three onsets a voice reuses the first pick
+  const used = [];
+  const pick = (score) => {
+    const best = candidates.filter(c => !used.includes(c)).sort((a, b) => score(b) - score(a))[0] || used[0];
+    used.push(best);
+    return best;
+  };
+  const chosen = { hat: pick(c => c.centroid), snare: pick(c => c.flatness), kick: pick(c => c.loudness) };
+  const voices = {};
+  Object.entries(chosen).forEach(([voice, c]) => {
+    voices[voice] = { time: c.start / sr, data: shapeDrumHit(mono, sr, c.start, BIRD_KIT_SHAPES[voice]) };
+  });
+  return { sampleRate: sr, voices };
+}
+
+/*
+  Tempo: autocorrelates the onset-strength envelope to find how often the bird repeats
+  itself, then folds that rate by octaves towards a lofi-friendly BPM range. Confidence is
+  how far the best periodicity peak stands above the average correlation (0..1).
+*/
+const LOFI_BPM_MIN = 65;
+const LOFI_BPM_MAX = 95;
+
+/* the octave of `bpm` closest to [min, max] by ratio; inside the range when one fits */
+function foldBpm(bpm, min = LOFI_BPM_MIN, max = LOFI_BPM_MAX) {
+  if (!(bpm > 0)) return null;
+  while (bpm < min) bpm *= 2;
+  while (bpm >= min * 2) bpm /= 2;
+  if (bpm <= max) return bpm;
+  // the range is narrower than an octave, so bpm and bpm/2 fall either side of it
+  return bpm / max <= min / (bpm / 2) ? bpm : bpm / 2;
+}
+
+function detectTempo(audioBuffer, { maxSeconds = 90, minPeriod = 0.25, maxPeriod = 4 } = {}) {
+  const sr = audioBuffer.sampleRate;
+  const mono = mixToMono(audioBuffer, maxSeconds);
+  const { flux, hop } = detectOnsets(mono, sr);
+  const fps = sr / hop;
+  const n = flux.length;
+  const minLag = Math.max(1, Math.round(minPeriod * fps));
+  const maxLag = Math.min(Math.floor(n / 2), Math.round(maxPeriod * fps)); // need two repeats at least
+  if (maxLag <= minLag) return { bpm: null, confidence: 0, period: null };
+
+  // remove the local average so steady noise doesn't correlate with itself
+  const env = new Float64Array(n);
+  const radius = Math.round(fps);
+  let windowSum = 0, lo = 0, hi = -1;
+  for (let i = 0; i < n; i++) {
+    while (hi < Math.min(n - 1, i + radius)) windowSum += flux[++hi];
+    while (lo < i - radius) windowSum -= flux[lo++];
+    env[i] = Math.max(0, flux[i] - windowSum / (hi - lo + 1));
+  }
+
+  const ac = new Float64Array(maxLag + 2);
+  for (let lag = 0; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) sum += env[i] * env[i + lag];
+    ac[lag] = sum / (n - lag);
+  }
+  if (!(ac[0] > 0)) return { bpm: null, confidence: 0, period: null };
+
+  let peak = minLag, mean = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    mean += ac[lag];
+    if (ac[lag] > ac[peak]) peak = lag;
+  }
+  mean /= (maxLag - minLag + 1);
+
+  // a periodic call correlates at every multiple of its period: take the shortest strong one
+  let best = peak;
+  for (let lag = minLag; lag < peak; lag++) {
+    const isLocalMax = ac[lag] >= ac[lag - 1] && ac[lag] >= ac[lag + 1];
+    if (isLocalMax && ac[lag] - mean >= 0.8 * (ac[peak] - mean)) { best = lag; break; }
+  }
+
+  let lag = best;
+  const a = ac[best - 1], b = ac[best], c = ac[best + 1];
+  const denom = a - 2 * b + c;
+  if (denom !== 0) lag = best + 0.5 * (a - c) / denom;
+
+  const period = lag / fps;
+  const confidence = Math.max(0, Math.min(1, (ac[peak] - mean) / (ac[0] - mean || 1)));
+  const bpm = foldBpm(60 / period);
+  return { bpm: bpm ? Math.round(bpm) : null, confidence, period };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    mixToMono, fftInPlace, rmsOf, detectOnsets, estimatePitch, analyzeHookSlices,
+    BIRD_KIT_SHAPES, spectralShape, attackStart, shapeDrumHit, analyzeBirdKit,
+    LOFI_BPM_MIN, LOFI_BPM_MAX, foldBpm, detectTempo
+  };
+}
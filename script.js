@@ -17,14 +17,19 @@ const videos = [
 let currentVideoIndex = 0;
 
 /* --- App state --- */
-let recordings = [];
+let recordings = [];          // user channels first, then the active catalog
+let catalogRecordings = [];
+let userRecordings = [];
 let filteredRecordings = [];
 let nowPlaying = null;
 let isPlaying = false;
+let isPaused = false;   // paused keeps activeTrack and the Transport position; stopped has neither
 let activeTrack = null;
 
-/* waveform RAF */
-let _waveRaf = null;
+/* visualizer state (analysers + RAF live only while a track plays) */
+let visualizer = null;
+let visualizerView = 'scope';
+let visualizerSource = 'mix';
 
 /* --- Helpers --- */
 function getVideoEl() { return document.getElementById('bgVideo'); }
@@ -54,25 +59,53 @@ function handleError(err, context={}) {
   showBanner(msg, {type:'error', timeout:8000});
 }
 
-async function fetchWithTimeout(url, {timeout=8000, retries=2, backoff=400} = {}) {
+async function fetchWithTimeout(url, {timeout=8000, retries=2, backoff=400, method='GET', signal=null} = {}) {
   let attempt = 0;
   while (true) {
     attempt++;
+    throwIfAborted(signal);
     const controller = new AbortController();
     const id = setTimeout(()=>controller.abort(), timeout);
+    const cancel = () => controller.abort();
+    if (signal) signal.addEventListener('abort', cancel, { once: true });
     try {
-      const res = await fetch(url, { signal: controller.signal });
+      const res = await fetch(url, { method, signal: controller.signal });
       clearTimeout(id);
       if (!res.ok) throw new Error(`HTTP status ${res.status}`);
       return res;
     } catch (err) {
       clearTimeout(id);
+      throwIfAborted(signal);
       if (attempt > retries) throw err;
       await new Promise(r=>setTimeout(r, backoff * attempt));
+    } finally {
+      if (signal) signal.removeEventListener('abort', cancel);
     }
   }
 }
 
+/* cancellation: callers pass an AbortSignal; work that can't be interrupted is raced against it */
+function abortError() {
+  const err = new Error('Superseded by a newer request');
+  err.name = 'AbortError';
+  return err;
+}
+function isAbortError(err) { return !!err && err.name === 'AbortError'; }
+function throwIfAborted(signal) { if (signal && signal.aborted) throw abortError(); }
+
+function abortable(promise, signal, onAbort = null) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const abort = () => { if (onAbort) onAbort(); reject(abortError()); };
+    if (signal.aborted) { abort(); return; }
+    signal.addEventListener('abort', abort, { once: true });
+    Promise.resolve(promise).then(
+      value => { signal.removeEventListener('abort', abort); resolve(value); },
+      err => { signal.removeEventListener('abort', abort); reject(err); }
+    );
+  });
+}
+
 /* --- BPM estimation / musical helpers --- */
 function estimateBPM(length) {
   if (!length) return 75;
@@ -100,12 +133,198 @@ function snapToScale(semitone, rootMidi = 60, scale = [0,2,3,5,7,8,10]) {
   return best - 60;
 }
 
+/* note names <-> MIDI; midiToNote() spells black keys the way lead sheets usually do */
+const NOTE_NAMES = ['C','C#','D','Eb','E','F','F#','G','Ab','A','Bb','B'];
+const NOTE_LETTERS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+function pitchClassOf(name) {
+  const m = /^([A-G])(#|b)?/.exec(name);
+  if (!m) return null;
+  return (NOTE_LETTERS[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0) + 12) % 12;
+}
+function noteToMidi(name) {
+  const m = /^([A-G])(#|b)?(-?\d)$/.exec(name);
+  if (!m) return null;
+  return NOTE_LETTERS[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0) + (Number(m[3]) + 1) * 12;
+}
+function midiToNote(midi) {
+  return `${NOTE_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+const SCALES = {
+  major: { name: 'Major', steps: [0,2,4,5,7,9,11] },
+  minor: { name: 'Minor', steps: [0,2,3,5,7,8,10] },
+  dorian: { name: 'Dorian', steps: [0,2,3,5,7,9,10] },
+  phrygian: { name: 'Phrygian', steps: [0,1,3,5,7,8,10] },
+  lydian: { name: 'Lydian', steps: [0,2,4,6,7,9,11] },
+  mixolydian: { name: 'Mixolydian', steps: [0,2,4,5,7,9,10] },
+  'major-pentatonic': { name: 'Major pentatonic', steps: [0,2,4,7,9] },
+  'minor-pentatonic': { name: 'Minor pentatonic', steps: [0,3,5,7,10] }
+};
+
+/* --- Decoded audio cache --- */
+/*
+  Decoded AudioBuffers keyed by XC id, shared by peak detection, the sample player and the
+  offline renderer. The Map's insertion order doubles as LRU order. Encoded bytes are also
+  kept in IndexedDB (when available) so a reload skips the network, not the decode.
+*/
+const AUDIO_CACHE_MAX_BYTES = 192 * 1024 * 1024;
+const AUDIO_DB_NAME = 'birdwave-audio';
+const AUDIO_DB_STORE = 'files';
+const AUDIO_DB_MAX_FILES = 40;
+const USER_RECORDINGS_STORE = 'user-recordings'; // dropped-in files; never evicted
+const DRUM_KITS_STORE = 'drum-kits';               // sample kits loaded from folders; never evicted
+
+const _audioCache = new Map();      // key -> { buffer, bytes }
+const _audioInflight = new Map();   // key -> { promise, controller, waiters }
+let _audioCacheBytes = 0;
+let _audioDb = null;
+
+function _audioCachePut(key, buffer) {
+  const bytes = buffer.length * buffer.numberOfChannels * 4;
+  if (_audioCache.has(key)) _audioCacheBytes -= _audioCache.get(key).bytes;
+  _audioCache.delete(key);
+  _audioCache.set(key, { buffer, bytes });
+  _audioCacheBytes += bytes;
+  for (const [oldKey, entry] of _audioCache) {
+    if (_audioCacheBytes <= AUDIO_CACHE_MAX_BYTES || oldKey === key) break;
+    _audioCache.delete(oldKey);
+    _audioCacheBytes -= entry.bytes;
+  }
+}
+
+function _openAudioDb() {
+  if (_audioDb) return _audioDb;
+  _audioDb = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') { resolve(null); return; }
+    try {
+      const req = indexedDB.open(AUDIO_DB_NAME, 3);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(AUDIO_DB_STORE)) {
+          db.createObjectStore(AUDIO_DB_STORE, { keyPath: 'key' }).createIndex('savedAt', 'savedAt');
+        }
+        if (!db.objectStoreNames.contains(USER_RECORDINGS_STORE)) db.createObjectStore(USER_RECORDINGS_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(DRUM_KITS_STORE)) db.createObjectStore(DRUM_KITS_STORE, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    } catch (e) { resolve(null); }
+  });
+  return _audioDb;
+}
+
+/* one request against a never-evicted store; rejects when IndexedDB is unavailable */
+async function _idbStoreRequest(storeName, mode, op) {
+  const db = await _openAudioDb();
+  if (!db) throw new Error('IndexedDB is not available');
+  return new Promise((resolve, reject) => {
+    try {
+      const req = op(db.transaction(storeName, mode).objectStore(storeName));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    } catch (e) { reject(e); }
+  });
+}
+
+async function _idbGetAudio(key) {
+  const db = await _openAudioDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    try {
+      const req = db.transaction(AUDIO_DB_STORE, 'readonly').objectStore(AUDIO_DB_STORE).get(key);
+      req.onsuccess = () => resolve(req.result ? req.result.data : null);
+      req.onerror = () => resolve(null);
+    } catch (e) { resolve(null); }
+  });
+}
+
+async function _idbPutAudio(key, data) {
+  const db = await _openAudioDb();
+  if (!db) return;
+  try {
+    const store = db.transaction(AUDIO_DB_STORE, 'readwrite').objectStore(AUDIO_DB_STORE);
+    store.put({ key, data, savedAt: Date.now() });
+    // trim the oldest over the limit by walking the savedAt index: keys only, no file is read
+    const count = store.count();
+    count.onsuccess = () => {
+      let excess = count.result - AUDIO_DB_MAX_FILES;
+      if (excess <= 0) return;
+      const oldest = store.index('savedAt').openKeyCursor();
+      oldest.onsuccess = () => {
+        const cursor = oldest.result;
+        if (!cursor || excess-- <= 0) return;
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+    };
+  } catch (e) { console.warn('Audio cache write failed:', e); }
+}
+
+function _audioCacheDrop(key) {
+  const entry = _audioCache.get(key);
+  if (!entry) return;
+  _audioCache.delete(key);
+  _audioCacheBytes -= entry.bytes;
+}
+
+/*
+  Loads are shared between callers. A caller with a `signal` stops waiting when it aborts;
+  the download itself is only cancelled once every such caller has gone (a prefetch, which
+  passes no signal, keeps it alive so the buffer still lands in the cache).
+*/
+async function getAudioBuffer(key, url, { signal = null } = {}) {
+  const hit = _audioCache.get(key);
+  if (hit) { _audioCachePut(key, hit.buffer); return hit.buffer; }
+
+  let entry = _audioInflight.get(key);
+  if (!entry) {
+    // blob: URLs are user recordings that already live in IndexedDB
+    const persist = !url.startsWith('blob:');
+    const controller = new AbortController();
+    const promise = (async () => {
+      let encoded = persist ? await _idbGetAudio(key) : null;
+      if (!encoded) {
+        const res = await fetchWithTimeout(url, { timeout: 20000, retries: 1, backoff: 400, signal: controller.signal });
+        encoded = await res.arrayBuffer();
+        if (persist) _idbPutAudio(key, encoded.slice(0));
+      }
+      // decodeAudioData detaches its input, so hand it a copy
+      const buffer = await Tone.context.rawContext.decodeAudioData(encoded.slice(0));
+      _audioCachePut(key, buffer);
+      return buffer;
+    })();
+    entry = { promise, controller, waiters: 0, keepAlive: false };
+    _audioInflight.set(key, entry);
+    promise.then(() => _audioInflight.delete(key), () => _audioInflight.delete(key));
+  }
+  if (!signal) { entry.keepAlive = true; return entry.promise; }
+  entry.waiters++;
+  const loading = entry;
+  return abortable(loading.promise, signal, () => {
+    if (--loading.waiters === 0 && !loading.keepAlive) loading.controller.abort();
+  });
+}
+
+function audioUrlFor(bird) { return bird.objectUrl || `${AUDIO_DIR}${bird.fileName}`; }
+
+/* how a recording is cited in banners, exports and file names */
+function recordingRef(bird) { return bird.user ? bird.id : `XC${bird.id}`; }
+
+/* warm the cache for the channels either side of `bird` in the filtered list */
+function prefetchNeighbours(bird) {
+  if (!bird || filteredRecordings.length < 2) return;
+  const i = filteredRecordings.findIndex(b => b.id === bird.id);
+  if (i === -1) return;
+  const n = filteredRecordings.length;
+  [filteredRecordings[(i + 1) % n], filteredRecordings[(i - 1 + n) % n]].forEach(b => {
+    if (isPlayable(b) && b.id !== bird.id) getAudioBuffer(b.id, audioUrlFor(b)).catch(e => console.warn('Prefetch failed:', b.id, e));
+  });
+}
+
 /* --- Peak detection helper --- */
-async function findBestSliceTime(url, msWindow = 120) {
+async function findBestSliceTime(url, msWindow = 120, cacheKey = url) {
   try {
-    const resp = await fetch(url);
-    const arrayBuffer = await resp.arrayBuffer();
-    const audioBuffer = await Tone.context.rawContext.decodeAudioData(arrayBuffer);
+    const audioBuffer = await getAudioBuffer(cacheKey, url);
     const channel = audioBuffer.getChannelData(0);
     const sampleRate = audioBuffer.sampleRate;
     const windowSamples = Math.floor((msWindow / 1000) * sampleRate);
@@ -133,311 +352,2889 @@ async function findBestSliceTime(url, msWindow = 120) {
   }
 }
 
+/* --- Tempo detection --- */
+/*
+  detectTempo() (analysis.js) finds how often the bird repeats itself and folds that into the
+  lofi range. Its confidence is how far the best periodicity peak stands above the average
+  correlation (0..1); tempoFor() only trusts it above TEMPO_MIN_CONFIDENCE and otherwise falls
+  back to estimateBPM().
+*/
+const TEMPO_MIN_CONFIDENCE = 0.3;
+
+function tempoFor(bird) {
+  const t = bird && bird.tempo;
+  if (t && t.bpm && t.confidence >= TEMPO_MIN_CONFIDENCE) return t.bpm;
+  return (bird && bird.bpmEstimate) || 72;
+}
+
+function formatTempo(bird) {
+  const t = bird.tempo;
+  if (!t) return `${bird.bpmEstimate} BPM · estimate`;
+  const pct = `${Math.round(t.confidence * 100)}%`;
+  if (t.bpm && t.confidence >= TEMPO_MIN_CONFIDENCE) return `${t.bpm} BPM · detected (${pct})`;
+  return `${bird.bpmEstimate} BPM · estimate (detection ${pct})`;
+}
+
+function renderTempoInfo(bird) {
+  if (!bird || !nowPlaying || nowPlaying.id !== bird.id) return;
+  const tempo = $id('tempo'); if (tempo) tempo.textContent = formatTempo(bird);
+  const inline = document.querySelector(`#details-${bird.id} .details-tempo`);
+  if (inline) inline.textContent = formatTempo(bird);
+}
+
+/* --- Key & scale --- */
+/*
+  Arrangements declare the key they are written in (`key`, default C major). At play time a
+  target key is resolved — the listener's choice, the style's own, or one matched to the bird —
+  and every note is moved there: by scale degree when both scales have seven notes (so a major
+  third becomes a minor third), then through snapToScale() so nothing is left outside the scale.
+  The hook is snapped to the same root and scale, so it always agrees with the harmony.
+*/
+const KEY_STORAGE_KEY = 'birdwave.key';
+const KEY_MIN_PITCHED_NOTES = 3;   // fewer pitched syllables than this and the bird can't pick a key
+// tonic: 'bird' | 'written' | 0..11; scale: 'written' | an id in SCALES
+let keySetting = { tonic: 'bird', scale: 'written' };
+
+function normalizeKeySetting(saved) {
+  const tonic = saved && (saved.tonic === 'written' || saved.tonic === 'bird' || (Number.isInteger(saved.tonic) && saved.tonic >= 0 && saved.tonic < 12))
+    ? saved.tonic : 'bird';
+  const scale = saved && (saved.scale === 'written' || SCALES[saved.scale]) ? saved.scale : 'written';
+  return { tonic, scale };
+}
+function loadKeySetting() {
+  try { keySetting = normalizeKeySetting(JSON.parse(localStorage.getItem(KEY_STORAGE_KEY) || 'null')); }
+  catch (e) { keySetting = normalizeKeySetting(null); }
+}
+function saveKeySetting() {
+  try { localStorage.setItem(KEY_STORAGE_KEY, JSON.stringify(keySetting)); } catch (e) {}
+}
+
+/* clarity-weighted pitch-class histogram of the strongest syllables */
+function pitchProfile(audioBuffer, { maxSeconds = 60, maxNotes = 60 } = {}) {
+  const sr = audioBuffer.sampleRate;
+  const mono = mixToMono(audioBuffer, maxSeconds);
+  const { onsets } = detectOnsets(mono, sr);
+  const profile = new Array(12).fill(0);
+  let notes = 0;
+  onsets.slice().sort((a, b) => b.strength - a.strength).slice(0, maxNotes).forEach(o => {
+    const pitch = estimatePitch(mono, sr, o.time * sr + 0.01 * sr);
+    if (!pitch) return;
+    profile[((Math.round(pitch.midi) % 12) + 12) % 12] += pitch.clarity;
+    notes++;
+  });
+  return { profile, notes };
+}
+
+/* tonic whose scale covers most of the profile, with a nudge for landing on the tonic itself */
+function keyFromProfile(profile, steps, fallbackTonic = 0) {
+  const scoreOf = (tonic) => steps.reduce((sum, s) => sum + profile[(tonic + s) % 12], 0) + 0.5 * profile[tonic];
+  let best = fallbackTonic, bestScore = scoreOf(fallbackTonic);
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const score = scoreOf(tonic);
+    if (score > bestScore + 1e-9) { best = tonic; bestScore = score; }
+  }
+  return best;
+}
+
+function resolveKey(bird, style, setting = keySetting) {
+  const written = style.key || { tonic: 0, scale: 'major' };
+  const scale = setting.scale === 'written' ? written.scale : setting.scale;
+  const steps = SCALES[scale].steps;
+  let tonic = written.tonic, source = 'written';
+  if (Number.isInteger(setting.tonic)) { tonic = setting.tonic; source = 'chosen'; }
+  else if (setting.tonic === 'bird' && bird && bird.pitchProfile && bird.pitchProfile.notes >= KEY_MIN_PITCHED_NOTES) {
+    tonic = keyFromProfile(bird.pitchProfile.profile, steps, written.tonic);
+    source = 'bird';
+  }
+  return { tonic, scale, steps, source };
+}
+
+function formatKey(key) {
+  const label = `${NOTE_NAMES[key.tonic]} ${SCALES[key.scale].name.toLowerCase()}`;
+  if (key.source === 'bird') return `${label} · from the bird`;
+  if (key.source === 'written') return `${label} · as written`;
+  return label;
+}
+
+/* moves one MIDI note from the `from` key into `to` ({ tonic, steps }), staying in the same register */
+function mapNoteToKey(midi, from, to) {
+  const shift = ((to.tonic - from.tonic + 18) % 12) - 6;
+  const rel = midi - from.tonic;
+  const octave = Math.floor(rel / 12);
+  const pc = rel - octave * 12;
+  const degree = from.steps.indexOf(pc);
+  const interval = degree !== -1 && from.steps.length === to.steps.length ? to.steps[degree] : pc;
+  const target = from.tonic + shift + octave * 12 + interval;
+  return 60 + snapToScale(target - 60, 60 + to.tonic, to.steps);
+}
+
+function transposeArrangement(arrangement, key) {
+  const written = arrangement.key || { tonic: 0, scale: 'major' };
+  if (written.tonic === key.tonic && written.scale === key.scale) return arrangement;
+  const from = { tonic: written.tonic, steps: SCALES[written.scale].steps };
+  const move = (note) => midiToNote(mapNoteToKey(noteToMidi(note), from, key));
+  const patterns = {};
+  Object.entries(arrangement.patterns).forEach(([name, pat]) => {
+    patterns[name] = {
+      ...pat,
+      bass: pat.bass.map(move),
+      melody: pat.melody.map(note => note && move(note)), // null is a rest
+      chords: pat.chords.map(chord => [...new Set(chord.map(move))])
+    };
+  });
+  return { ...arrangement, patterns, key: { tonic: key.tonic, scale: key.scale } };
+}
+
+/* before the first play the bird has no pitch profile yet, so this shows the style's key */
+function renderKeyInfo(bird, key = bird ? resolveKey(bird, resolveStyleFor(bird)) : null) {
+  const el = $id('musicalKey');
+  if (el) el.textContent = key ? formatKey(key) : '—';
+}
+
+function renderKeyPicker() {
+  const keyPicker = $id('keyPicker');
+  const scalePicker = $id('scalePicker');
+  if (keyPicker) {
+    keyPicker.innerHTML = [
+      '<option value="bird">Key: match the bird</option>',
+      '<option value="written">Key: as written</option>',
+      ...NOTE_NAMES.map((n, i) => `<option value="${i}">Key: ${n}</option>`)
+    ].join('');
+    keyPicker.value = String(keySetting.tonic);
+  }
+  if (scalePicker) {
+    scalePicker.innerHTML = [
+      '<option value="written">Style\'s scale</option>',
+      ...Object.entries(SCALES).map(([id, sc]) => `<option value="${id}">${escapeHtml(sc.name)}</option>`)
+    ].join('');
+    scalePicker.value = keySetting.scale;
+  }
+}
+
+async function handleKeyPick(changes) {
+  keySetting = normalizeKeySetting({ ...keySetting, ...changes });
+  saveKeySetting();
+  renderKeyPicker();
+  renderKeyInfo(nowPlaying);
+  saveSession();
+  if (isPlaying || playRequest) {
+    await playProduction();
+  } else if (isPaused) {
+    stopPlay();
+  }
+}
+
+/* --- Hook analysis: syllable onsets + pitch --- */
+/*
+  The analysis itself (onsets, YIN pitch, slice scoring) lives in analysis.js so it can be
+  tested in Node on the bundled audio/ files; what follows maps its results onto the music.
+*/
+const HOOK_MAX_MIDI = 96; // hook slices above C7 are dropped by octaves before snapping
+
+const _hookAnalysis = new Map();
+function analyzeHookSlicesCached(key, audioBuffer, opts) {
+  if (!_hookAnalysis.has(key)) _hookAnalysis.set(key, analyzeHookSlices(audioBuffer, opts));
+  return _hookAnalysis.get(key);
+}
+
+/* semitone shift that lands a slice of pitch `midi` on the nearest scale tone (octave-folded down) */
+function hookShiftFor(midi, rootMidi, scale) {
+  let folded = midi;
+  while (folded > HOOK_MAX_MIDI) folded -= 12;
+  const tuned = 60 + snapToScale(folded - 60, rootMidi, scale);
+  return tuned - midi;
+}
+
+/* --- Bird drum kit & ambience --- */
+/*
+  analyzeBirdKit() (analysis.js) cuts kick, snare and hat hits from the recording's own
+  transients; here they become AudioBuffers for drumsKit(), cached per recording.
+*/
+const AMBIENCE_SECONDS = 3;
+
+const _birdKits = new Map();
+/* voice -> AudioBuffer for drumsKit(), or null when the recording has no usable transients */
+function birdKitFor(key, audioBuffer) {
+  if (!_birdKits.has(key)) {
+    const kit = analyzeBirdKit(audioBuffer);
+    let voices = null;
+    if (kit) {
+      voices = {};
+      Object.entries(kit.voices).forEach(([voice, { data }]) => {
+        const buffer = Tone.context.rawContext.createBuffer(1, data.length, kit.sampleRate);
+        buffer.copyToChannel(data, 0);
+        voices[voice] = buffer;
+      });
+    }
+    _birdKits.set(key, voices);
+  }
+  return _birdKits.get(key);
+}
+
+/* the stretch of recording the ambience layer freezes: a few seconds starting just before `time` */
+function ambienceRegion(duration, time, length = AMBIENCE_SECONDS) {
+  const start = Math.max(0, Math.min(time - 0.5, duration - length));
+  return { start, end: Math.min(duration, start + length) };
+}
+
+/* --- Node lifecycle --- */
+/*
+  A scope owns every Tone node, loop and source one track creates: `scope.own(node)` registers
+  and returns it, `scope.dispose()` stops and disposes them all, newest first. A track's master
+  bus and style instance share one scope (each track keeps its own bus so radio can crossfade
+  two of them), so tearing a track down can't miss a node. liveNodeCount() sums the open scopes.
+*/
+const liveScopes = new Set();
+
+function disposeNode(node) {
+  if (!node) return;
+  try { if (typeof node.stop === 'function' && node.state === 'started') node.stop(); } catch (e) {}
+  try {
+    if (typeof node.dispose === 'function') node.dispose();
+    else if (typeof node.disconnect === 'function') node.disconnect(); // raw AudioNodes
+  } catch (e) {}
+}
+
+function createScope(label) {
+  const owned = [];
+  const scope = {
+    label,
+    disposed: false,
+    own(node) {
+      // something async finished after teardown: don't let it outlive its track
+      if (scope.disposed) { disposeNode(node); return node; }
+      owned.push(node);
+      return node;
+    },
+    release(node) {
+      const i = owned.indexOf(node);
+      if (i !== -1) owned.splice(i, 1);
+      disposeNode(node);
+    },
+    get size() { return owned.length; },
+    dispose() {
+      if (scope.disposed) return;
+      scope.disposed = true;
+      while (owned.length) disposeNode(owned.pop());
+      liveScopes.delete(scope);
+      updateDebugReadout();
+    }
+  };
+  liveScopes.add(scope);
+  return scope;
+}
+
+function liveNodeCount() {
+  let n = 0;
+  liveScopes.forEach(s => { n += s.size; });
+  return n;
+}
+
+/* `?debug` in the page URL shows live scopes/nodes; test/lifecycle.test.js checks they stay flat */
+const DEBUG = typeof location !== 'undefined' && /[?&]debug\b/.test(location.search);
+
+function updateDebugReadout() {
+  const el = $id('debugReadout');
+  if (!el || !DEBUG) return;
+  el.classList.remove('hidden');
+  el.textContent = `${liveScopes.size} scopes · ${liveNodeCount()} nodes`;
+}
+
 /* --- Tone instruments & sample hook --- */
 async function createSampleHook(url, {
   sliceTime = 0,
   sliceDur = 0.14,
   semitone = 0,
   loopRate = '8n',
-  vol = -12
+  vol = -12,
+  shouldTrigger = null,
+  buffer = null,
+  slices = null,
+  sliceIndexAt = null,
+  scope = createScope('hook')
 } = {}) {
-  const player = new Tone.Player({ url, loop: false, autostart: false, volume: vol });
-  try { await player.load(); } catch (e) { console.warn('Player load failed', e); }
-  const ampEnv = new Tone.AmplitudeEnvelope({ attack: 0.005, decay: 0.06, sustain: 0.0, release: 0.05 });
+  const player = scope.own(new Tone.Player({ url: buffer || url, loop: false, autostart: false, volume: vol }));
+  if (!buffer) { try { await player.load(url); } catch (e) { console.warn('Player load failed', e); } }
+  const ampEnv = scope.own(new Tone.AmplitudeEnvelope({ attack: 0.005, decay: 0.06, sustain: 0.0, release: 0.05 }));
   player.connect(ampEnv);
-  const gain = new Tone.Gain(1);
+  const gain = scope.own(new Tone.Gain(1));
   ampEnv.connect(gain);
 
   let hookLoop = null;
   const startHook = () => {
     if (hookLoop) return;
-    hookLoop = new Tone.Loop((time) => {
+    hookLoop = scope.own(new Tone.Loop((time) => {
+      if (shouldTrigger && !shouldTrigger(time)) return;
+      const slice = slices && slices.length
+        ? slices[(sliceIndexAt ? sliceIndexAt(time) : 0) % slices.length]
+        : { time: sliceTime, semitone };
       try {
         try { player.stop(time - 0.002); } catch(e){}
-        player.playbackRate = semitoneToRate(semitone);
-        player.start(time, sliceTime, sliceDur);
+        player.playbackRate = semitoneToRate(slice.semitone);
+        player.start(time, slice.time, sliceDur);
         ampEnv.triggerAttackRelease('8n', time + 0.001);
         try { player.stop(time + sliceDur + 0.02); } catch(e){}
       } catch (e) { console.warn('hook trigger error', e); }
-    }, loopRate).start(0);
+    }, loopRate).start(0));
   };
   const stopHook = () => {
     try {
-      if (hookLoop) { hookLoop.stop(); hookLoop.dispose(); hookLoop = null; }
+      if (hookLoop) { scope.release(hookLoop); hookLoop = null; }
       try { player.stop(); } catch(e) {}
     } catch (e) {}
   };
-  const dispose = () => { stopHook(); try { player.dispose(); } catch (e) {} try { ampEnv.dispose(); } catch (e) {} try { gain.dispose(); } catch (e) {} };
+  const dispose = () => { stopHook(); scope.release(gain); scope.release(ampEnv); scope.release(player); };
+  const setDuration = (seconds) => { sliceDur = seconds; };
+
+  return { player, gain, startHook, stopHook, setDuration, dispose };
+}
+
+/* --- Texture (master bus character) --- */
+/*
+  The lofi colour of the master bus — filter, wobble, saturation, reverb, vinyl, crush — is
+  one global "texture" shared by every channel. Presets are just named parameter sets; moving
+  any knob turns the preset into "custom". Running buses follow changes through short ramps
+  (the reverb size, which needs a new impulse response, crossfades to a freshly generated one).
+*/
+const TEXTURE_STORAGE_KEY = 'birdwave.texture';
+const TEXTURE_RAMP = 0.08;           // seconds; long enough to avoid zipper noise and clicks
+const TEXTURE_REVERB_FADE = 0.4;     // seconds to crossfade between impulse responses
+const TEXTURE_PARAMS = [
+  { key: 'cutoff', label: 'Cutoff', min: 1500, max: 18000, step: 100, format: v => `${(v / 1000).toFixed(1)}k` },
+  { key: 'wobbleRate', label: 'Wobble', min: 0, max: 2, step: 0.01, format: v => `${v.toFixed(2)} Hz` },
+  { key: 'wobbleDepth', label: 'Depth', min: 0, max: 4000, step: 50, format: v => `${Math.round(v)} Hz` },
+  { key: 'saturation', label: 'Drive', min: 0, max: 1, step: 0.01, format: v => `${Math.round(v * 100)}%` },
+  { key: 'reverbSize', label: 'Room', min: 0.4, max: 6, step: 0.1, format: v => `${v.toFixed(1)} s` },
+  { key: 'reverbMix', label: 'Reverb', min: 0, max: 0.6, step: 0.01, format: v => `${Math.round(v * 100)}%` },
+  { key: 'crackle', label: 'Vinyl', min: 0, max: 1, step: 0.01, format: v => `${Math.round(v * 100)}%` },
+  { key: 'bits', label: 'Bits', min: 4, max: 16, step: 1, format: v => v >= 16 ? 'off' : `${v}` },
+  { key: 'downsample', label: 'Rate ÷', min: 1, max: 16, step: 1, format: v => v <= 1 ? 'off' : `÷${v}` }
+];
+// 'tape' keeps the original bus's 9 kHz lowpass wobbling down to 7 kHz, 1.8 s room at 14% and hiss
+// level; its drive stage and the record-surface clicks are additions the old bus didn't have
+const TEXTURE_PRESETS = [
+  { id: 'tape', name: 'Tape', params: { cutoff: 9000, wobbleRate: 0.11, wobbleDepth: 2000, saturation: 0.12, reverbSize: 1.8, reverbMix: 0.14, crackle: 0.5, bits: 16, downsample: 1 } },
+  { id: 'cassette', name: 'Cassette', params: { cutoff: 6500, wobbleRate: 0.6, wobbleDepth: 1600, saturation: 0.3, reverbSize: 1.4, reverbMix: 0.12, crackle: 0.3, bits: 12, downsample: 1 } },
+  { id: 'dusty', name: 'Dusty', params: { cutoff: 4500, wobbleRate: 0.2, wobbleDepth: 1200, saturation: 0.4, reverbSize: 2.6, reverbMix: 0.22, crackle: 1, bits: 8, downsample: 4 } },
+  { id: 'clean', name: 'Clean', params: { cutoff: 18000, wobbleRate: 0, wobbleDepth: 0, saturation: 0, reverbSize: 1.2, reverbMix: 0.08, crackle: 0, bits: 16, downsample: 1 } }
+];
+const DEFAULT_TEXTURE_PRESET = 'tape';
+let texture = { preset: DEFAULT_TEXTURE_PRESET, ...TEXTURE_PRESETS[0].params };
+
+function normalizeTexture(saved) {
+  const preset = TEXTURE_PRESETS.find(p => p.id === (saved && saved.preset));
+  const base = { ...(preset || TEXTURE_PRESETS[0]).params };
+  TEXTURE_PARAMS.forEach(({ key, min, max }) => {
+    const v = saved && Number(saved[key]);
+    if (saved && saved[key] !== undefined && Number.isFinite(v)) base[key] = Math.max(min, Math.min(max, v));
+  });
+  return { preset: preset ? preset.id : 'custom', ...base };
+}
+function loadTextureState() {
+  try { texture = normalizeTexture(JSON.parse(localStorage.getItem(TEXTURE_STORAGE_KEY) || 'null') || { preset: DEFAULT_TEXTURE_PRESET }); }
+  catch (e) { texture = normalizeTexture({ preset: DEFAULT_TEXTURE_PRESET }); }
+}
+function saveTextureState() {
+  try { localStorage.setItem(TEXTURE_STORAGE_KEY, JSON.stringify(texture)); } catch (e) {}
+}
+
+/*
+  Bit depth and sample-rate reduction in one AudioWorklet (Tone's BitCrusher only does bits).
+  The module is added once per context — including Tone.Offline's — before a bus is built;
+  without AudioWorklet support (e.g. a non-secure origin) the bus simply skips the stage.
+*/
+const CRUSHER_WORKLET = 'birdwave-crusher';
+const CRUSHER_WORKLET_SOURCE = `
+class BirdwaveCrusher extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'bits', defaultValue: 16, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+      { name: 'downsample', defaultValue: 1, minValue: 1, maxValue: 64, automationRate: 'k-rate' }
+    ];
+  }
+  constructor() { super(); this.phase = 0; this.held = []; }
+  process(inputs, outputs, parameters) {
+    const input = inputs[0], output = outputs[0];
+    const bits = parameters.bits[0], factor = parameters.downsample[0];
+    const step = bits >= 16 ? 0 : Math.pow(0.5, bits - 1);
+    let phase = this.phase;
+    for (let ch = 0; ch < output.length; ch++) {
+      const src = input[ch] || input[0], out = output[ch];
+      if (!src) { out.fill(0); continue; }
+      let held = this.held[ch] || 0;
+      phase = this.phase;
+      for (let i = 0; i < out.length; i++) {
+        phase += 1;
+        if (phase >= factor) { phase -= factor; held = step ? step * Math.round(src[i] / step) : src[i]; }
+        out[i] = held;
+      }
+      this.held[ch] = held;
+    }
+    this.phase = phase;
+    return true;
+  }
+}
+registerProcessor('${CRUSHER_WORKLET}', BirdwaveCrusher);
+`;
+const _crusherModules = new WeakMap();   // raw context -> Promise<boolean>
+const _crusherReady = new WeakSet();
+
+function ensureCrusherWorklet(context = Tone.getContext()) {
+  const raw = context.rawContext;
+  if (!_crusherModules.has(raw)) {
+    _crusherModules.set(raw, (async () => {
+      if (!raw.audioWorklet || typeof Blob === 'undefined') return false;
+      const url = URL.createObjectURL(new Blob([CRUSHER_WORKLET_SOURCE], { type: 'application/javascript' }));
+      try { await raw.audioWorklet.addModule(url); } finally { URL.revokeObjectURL(url); }
+      _crusherReady.add(raw);
+      return true;
+    })().catch(e => { console.warn('Bit-crusher unavailable:', e); return false; }));
+  }
+  return _crusherModules.get(raw);
+}
+
+function createCrusher(params) {
+  const context = Tone.getContext();
+  if (!_crusherReady.has(context.rawContext)) return null;
+  try {
+    return context.createAudioWorkletNode(CRUSHER_WORKLET, {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      parameterData: { bits: params.bits, downsample: params.downsample }
+    });
+  } catch (e) { console.warn('Bit-crusher node failed:', e); return null; }
+}
+
+/* a few seconds of sparse record-surface clicks, looped under the pink-noise hiss */
+function crackleBuffer(seconds = 3) {
+  const sr = Tone.getContext().sampleRate;
+  const data = new Float32Array(Math.floor(seconds * sr));
+  const clicks = Math.round(seconds * 9);
+  for (let c = 0; c < clicks; c++) {
+    const at = Math.floor(Math.random() * (data.length - 200));
+    const amp = (Math.random() < 0.15 ? 0.9 : 0.35) * (Math.random() < 0.5 ? -1 : 1);
+    const decay = 20 + Math.random() * 60;
+    for (let i = 0; i < 200; i++) data[at + i] += amp * Math.exp(-i / decay) * (Math.random() * 2 - 1);
+  }
+  return Tone.ToneAudioBuffer.fromArray(data);
+}
 
-  return { player, gain, startHook, stopHook, dispose };
+function equalPower(mix) {
+  return { dry: Math.cos(mix * Math.PI / 2), wet: Math.sin(mix * Math.PI / 2) };
+}
+function crackleGains(amount) {
+  return { hiss: 0.03 * amount, clicks: 0.5 * amount };
 }
 
-function createMasterBus() {
-  const comp = new Tone.Compressor({ threshold: -18, ratio: 3, attack: 0.003, release: 0.22 });
-  const low = new Tone.Filter(9000, 'lowpass');
-  const sat = new Tone.Distortion(( /Chrome/.test(navigator.userAgent) && !/OPR|Edg/.test(navigator.userAgent) ) ? 0.03 : 0.06);
-  const reverb = new Tone.Reverb({ decay: 1.8, wet: 0.14 });
-  const limiter = new Tone.Limiter(-0.1).toDestination();
+function createMasterBus(scope, params = texture) {
+  const own = scope.own;
+  const comp = own(new Tone.Compressor({ threshold: -18, ratio: 3, attack: 0.003, release: 0.22 }));
+  const low = own(new Tone.Filter(params.cutoff, 'lowpass'));
+  const sat = own(new Tone.Distortion({ distortion: 0.4, oversample: '2x', wet: params.saturation }));
+  const crusher = createCrusher(params);
+  if (crusher) own(crusher);
+  // reverb is the send input that parts connect to; the convolver behind it can be swapped
+  const reverb = own(new Tone.Gain(1));
+  const mix = equalPower(params.reverbMix);
+  const reverbDry = own(new Tone.Gain(mix.dry));
+  const reverbWet = own(new Tone.Gain(mix.wet));
+  const limiter = own(new Tone.Limiter(-0.1));
+  const output = own(new Tone.Volume(0).toDestination());
+  limiter.connect(output);
 
   low.connect(sat);
-  sat.connect(reverb);
-  reverb.connect(comp);
+  if (crusher) { sat.connect(crusher); Tone.connect(crusher, reverb); }
+  else sat.connect(reverb);
+  reverb.connect(reverbDry);
+  reverbDry.connect(comp);
+  reverbWet.connect(comp);
   comp.connect(limiter);
 
-  const wobble = new Tone.LFO(0.11, 7000, 9000).start();
-  wobble.connect(low.frequency);
-
-  const vinyl = new Tone.Noise('pink');
-  const vFilt = new Tone.Filter(300, 'highpass');
-  const vGain = new Tone.Gain(0.015);
+  // filter frequency = centre + depth/2 * LFO, so the cutoff is the top of the wobble
+  const cutoff = own(new Tone.Signal({ value: params.cutoff - params.wobbleDepth / 2, units: 'frequency' }));
+  const wobbleDepth = own(new Tone.Multiply(params.wobbleDepth / 2));
+  const wobble = own(new Tone.LFO({ frequency: params.wobbleRate, min: -1, max: 1 }).start());
+  wobble.connect(wobbleDepth);
+  cutoff.connect(low.frequency);
+  wobbleDepth.connect(low.frequency);
+
+  const gains = crackleGains(params.crackle);
+  const vinyl = own(new Tone.Noise('pink'));
+  const vFilt = own(new Tone.Filter(300, 'highpass'));
+  const vGain = own(new Tone.Gain(gains.hiss));
+  const crackle = own(new Tone.Player({ url: crackleBuffer(), loop: true }));
+  const crackleGain = own(new Tone.Gain(gains.clicks));
+  const vinylVolume = own(new Tone.Volume(0));
   vinyl.connect(vFilt);
   vFilt.connect(vGain);
-  vGain.connect(low);
+  vGain.connect(vinylVolume);
+  crackle.connect(crackleGain);
+  crackleGain.connect(vinylVolume);
+  vinylVolume.connect(low);
   vinyl.start();
+  crackle.start();
+
+  const master = {
+    scope,
+    low, sat, crusher, reverb, reverbDry, reverbWet, comp, limiter, output,
+    cutoff, wobble, wobbleDepth,
+    vinylSource: vinyl, vinylGain: vGain, crackle, crackleGain, vinylVolume,
+    sources: [vinyl, crackle],
+    verb: null,
+    reverbSize: null,
+    ready: null
+  };
+  master.ready = swapReverb(master, params.reverbSize, 0);
+  return master;
+}
+
+/* builds a convolver for `size` and fades it in over `fade` seconds while the old one fades out */
+function swapReverb(master, size, fade = TEXTURE_REVERB_FADE) {
+  const { scope } = master;
+  master.reverbSize = size;
+  const verb = scope.own(new Tone.Reverb({ decay: size, wet: 1 }));
+  const gain = scope.own(new Tone.Gain(fade > 0 ? 0 : 1));
+  master.reverb.connect(verb);
+  verb.connect(gain);
+  gain.connect(master.reverbWet);
+  const old = master.verb;
+  master.verb = { verb, gain };
+  return verb.ready.then(() => {
+    if (scope.disposed) return;
+    try {
+      if (fade > 0) gain.gain.rampTo(1, fade);
+      if (old && fade > 0) old.gain.gain.rampTo(0, fade);
+    } catch (e) {} // a newer swap may already have disposed this one
+    if (old) setTimeout(() => { scope.release(old.verb); scope.release(old.gain); }, (fade + 0.1) * 1000);
+  });
+}
 
-  return { low, sat, reverb, comp, limiter, vinylSource: vinyl, vinylGain: vGain, wobble };
+function applyTexture(master, params, ramp = TEXTURE_RAMP) {
+  if (!master || master.scope.disposed) return;
+  master.cutoff.rampTo(params.cutoff - params.wobbleDepth / 2, ramp);
+  master.wobbleDepth.factor.rampTo(params.wobbleDepth / 2, ramp);
+  master.wobble.frequency.rampTo(params.wobbleRate, ramp);
+  master.sat.wet.rampTo(params.saturation, ramp);
+  const mix = equalPower(params.reverbMix);
+  master.reverbDry.gain.rampTo(mix.dry, ramp);
+  master.reverbWet.gain.rampTo(mix.wet, ramp);
+  const gains = crackleGains(params.crackle);
+  master.vinylGain.gain.rampTo(gains.hiss, ramp);
+  master.crackleGain.gain.rampTo(gains.clicks, ramp);
+  if (master.crusher) {
+    const now = master.crusher.context.currentTime;
+    ['bits', 'downsample'].forEach(name => {
+      const param = master.crusher.parameters.get(name);
+      param.cancelScheduledValues(now);
+      param.setTargetAtTime(params[name], now, ramp / 3);
+    });
+  }
+  if (master.reverbSize !== params.reverbSize) {
+    // regenerating an impulse response is expensive; wait for the knob to settle
+    clearTimeout(master.reverbTimer);
+    master.reverbTimer = setTimeout(() => { if (!master.scope.disposed) swapReverb(master, params.reverbSize); }, 250);
+  }
 }
 
-function simplePad() {
+function simplePad(opts = {}) {
   return new Tone.PolySynth(Tone.Synth, {
-    oscillator: { type: 'sine' },
-    envelope: { attack: 1.0, decay: 0.8, sustain: 0.7, release: 2.0 },
-    volume: -20
+    oscillator: { type: opts.oscillator || 'sine' },
+    envelope: { attack: 1.0, decay: 0.8, sustain: 0.7, release: 2.0, ...opts.envelope },
+    volume: opts.volume ?? -20
   });
 }
-function simpleLead() {
+function simpleLead(opts = {}) {
   const lead = new Tone.Synth({
-    oscillator: { type: 'triangle' },
-    envelope: { attack: 0.015, decay: 0.15, sustain: 0.45, release: 0.5 },
-    volume: -12
+    oscillator: { type: opts.oscillator || 'triangle' },
+    envelope: { attack: 0.015, decay: 0.15, sustain: 0.45, release: 0.5, ...opts.envelope },
+    volume: opts.volume ?? -12
   });
   return { synth: lead, chorus: null };
 }
-function simpleBass() {
+function simpleBass(opts = {}) {
   return new Tone.MonoSynth({
-    oscillator: { type: 'sine' },
-    envelope: { attack: 0.01, decay: 0.12, sustain: 0.6, release: 0.5 },
-    volume: -14
+    oscillator: { type: opts.oscillator || 'sine' },
+    envelope: { attack: 0.01, decay: 0.12, sustain: 0.6, release: 0.5, ...opts.envelope },
+    volume: opts.volume ?? -14
   });
 }
-function drumsKit(masterConnect) {
-  const kick = new Tone.MembraneSynth({ volume: -8 }).connect(masterConnect);
-  const snare = new Tone.NoiseSynth({ volume: -13 }).connect(masterConnect);
-  const hat = new Tone.MetalSynth({ volume: -18 }).connect(masterConnect);
-  return { kick, snare, hat };
+const DRUM_VOICES = ['kick', 'snare', 'hat'];
+const HAT_FREQUENCY = 200; // MetalSynth's own default; it is monophonic in Tone 14, so the note comes first
+/* `samples` maps voices to AudioBuffers (a loaded kit); voices without one use the synths */
+function drumsKit(masterConnect, opts = {}, samples = null) {
+  const volumes = { kick: opts.kickVolume ?? -8, snare: opts.snareVolume ?? -13, hat: opts.hatVolume ?? -18 };
+  const synths = {
+    kick: () => {
+      const node = new Tone.MembraneSynth({ volume: volumes.kick });
+      return { node, play: (time, velocity) => node.triggerAttackRelease('C1', '8n', time, velocity) };
+    },
+    snare: () => {
+      const node = new Tone.NoiseSynth({ volume: volumes.snare });
+      return { node, play: (time, velocity) => node.triggerAttackRelease('16n', time, velocity) };
+    },
+    hat: () => {
+      const node = new Tone.MetalSynth({ volume: volumes.hat });
+      return { node, play: (time, velocity) => node.triggerAttackRelease(HAT_FREQUENCY, '16n', time, velocity) };
+    }
+  };
+  const voices = {};
+  DRUM_VOICES.forEach(voice => {
+    const buffer = samples && samples[voice];
+    if (buffer) {
+      const node = new Tone.Sampler({ urls: { C1: buffer }, volume: volumes[voice] });
+      voices[voice] = { node, play: (time, velocity) => node.triggerAttack('C1', time, velocity) };
+    } else {
+      voices[voice] = synths[voice]();
+    }
+    voices[voice].node.connect(masterConnect);
+  });
+  return {
+    nodes: DRUM_VOICES.map(v => voices[v].node),
+    trigger(voice, time, velocity = 1) { voices[voice].play(time, velocity); }
+  };
 }
 
-/* --- Composition builder --- */
-async function createAttentionLike({ audioUrl, sliceTime, semitone, bpm, master, melodyNotes = ['E5','G5','A5','G5','E5','D5','C5','D5'], chords = [['C4','E4','G4','B3'], ['A3','C4','E4','A4'], ['F3','A3','C4','F4'], ['G3','B3','D4','G4']] }) {
-  const pad = simplePad();
-  const padGain = new Tone.Gain(1);
-  pad.connect(padGain);
-  padGain.connect(master.reverb);
-
-  const leadObj = simpleLead();
-  const lead = leadObj.synth;
-  lead.connect(master.reverb);
-
-  const bass = simpleBass();
-  bass.connect(master.low);
-
-  const hook = await createSampleHook(audioUrl, { sliceTime, semitone, loopRate: '8n' });
-  hook.gain.connect(master.low);
-
-  const kit = drumsKit(master.sat);
+/* --- Arrangement format --- */
+/*
+  Arrangements are JSON files in arrangements/ (listed in arrangements/index.json).
+  The format is documented in README.md; validateArrangement() is the source of truth.
+  normalizeArrangement() fills every optional field so the engine never has to guess.
+*/
+const ARRANGEMENTS_DIR = 'arrangements/';
+const ARRANGEMENT_FORMAT = 'birdwave-arrangement';
+const ARRANGEMENT_PARTS = ['drums', 'bass', 'chords', 'melody', 'hook'];
+const NOTE_RE = /^[A-G](#|b)?-?\d$/;
+const TONIC_RE = /^[A-G](#|b)?$/;
+const TIME_RE = /^\d+(n|m|t)\.?$/;
+
+const DEFAULT_INSTRUMENTS = {
+  pad: { volume: -20, oscillator: 'sine', rate: '2n', duration: '1n' },
+  lead: { volume: -12, oscillator: 'triangle', rate: '8n', duration: '8n' },
+  bass: { volume: -14, oscillator: 'sine', rate: '2n', duration: '8n' },
+  drums: { kickVolume: -8, snareVolume: -13, hatVolume: -18 },
+  ambience: { volume: -20 }
+};
+const DEFAULT_HOOK = { steps: [0, 2, 4, 6, 8, 10, 12, 14], duration: 0.14, volume: -12 };
+
+// Built-in fallback so the app still plays if arrangements/ can't be fetched.
+const DEFAULT_ARRANGEMENT = {
+  format: ARRANGEMENT_FORMAT, version: 1,
+  id: 'attention', name: 'Attention',
+  tempo: { min: 68, max: 95 },
+  key: { tonic: 'C', scale: 'major' },
+  patterns: {
+    main: {
+      drums: { kick: [0, 8], snare: [4, 12], hat: [0, 2, 4, 6, 8, 10, 12, 14] },
+      bass: ['C2','C2','A1','A1','F1','F1','G1','G1'],
+      chords: [['C4','E4','G4','B3'], ['A3','C4','E4','A4'], ['F3','A3','C4','F4'], ['G3','B3','D4','G4']],
+      melody: ['E5','G5','A5','G5','E5','D5','C5','D5']
+    }
+  }
+};
 
-  let drumStep = 0;
-  const drumLoop = new Tone.Loop((time) => {
-    const pos = drumStep % 16;
-    if (pos === 0 || pos === 8) kit.kick.triggerAttackRelease('C1', '8n', time);
-    if (pos === 4 || pos === 12) kit.snare.triggerAttackRelease('16n', time + 0.003);
-    if (pos % 2 === 0) kit.hat.triggerAttackRelease('16n', time + (pos % 4 === 2 ? 0.01 : 0));
-    drumStep++;
-  }, '16n').start(0);
+function validateArrangement(data) {
+  const errors = [];
+  const isObj = v => v && typeof v === 'object' && !Array.isArray(v);
+  const checkNotes = (list, path, { rests = false } = {}) => {
+    if (!Array.isArray(list) || !list.length) { errors.push(`${path} must be a non-empty array of notes`); return; }
+    list.forEach((n, i) => {
+      if (rests && n === null) return;
+      if (typeof n !== 'string' || !NOTE_RE.test(n)) errors.push(`${path}[${i}] "${n}" is not a note like "C4" or "F#3"${rests ? ' or null for a rest' : ''}`);
+    });
+  };
+  const checkTime = (v, path) => { if (v !== undefined && (typeof v !== 'string' || !TIME_RE.test(v))) errors.push(`${path} "${v}" is not a Tone time like "8n" or "1m"`); };
+  const checkNumber = (v, path, min, max) => { if (v !== undefined && (typeof v !== 'number' || !isFinite(v) || v < min || v > max)) errors.push(`${path} must be a number between ${min} and ${max}`); };
+
+  if (!isObj(data)) return ['arrangement must be a JSON object'];
+  if (data.format !== ARRANGEMENT_FORMAT) errors.push(`format must be "${ARRANGEMENT_FORMAT}"`);
+  if (data.version !== 1) errors.push('version must be 1');
+  if (typeof data.id !== 'string' || !/^[a-z0-9-]+$/.test(data.id)) errors.push('id must be lowercase letters, digits or dashes');
+  if (typeof data.name !== 'string' || !data.name.trim()) errors.push('name is required');
+
+  if (data.tempo !== undefined) {
+    if (!isObj(data.tempo)) errors.push('tempo must be an object { min, max }');
+    else {
+      checkNumber(data.tempo.min, 'tempo.min', 30, 240);
+      checkNumber(data.tempo.max, 'tempo.max', 30, 240);
+      if (data.tempo.min > data.tempo.max) errors.push('tempo.min must not exceed tempo.max');
+    }
+  }
 
-  let bassStep = 0;
-  const bassPattern = ['C2','C2','A1','A1','F1','F1','G1','G1'];
-  const bassLoop = new Tone.Loop((time) => {
-    bass.triggerAttackRelease(bassPattern[bassStep % bassPattern.length], '8n', time);
-    bassStep++;
-  }, '2n').start(0);
+  if (data.key !== undefined) {
+    if (!isObj(data.key)) errors.push('key must be an object { tonic, scale }');
+    else {
+      if (typeof data.key.tonic !== 'string' || !TONIC_RE.test(data.key.tonic)) errors.push(`key.tonic "${data.key.tonic}" is not a note name like "C", "F#" or "Bb"`);
+      if (!SCALES[data.key.scale]) errors.push(`key.scale must be one of ${Object.keys(SCALES).join(', ')}`);
+    }
+  }
 
-  let chordStep = 0;
-  const chordLoop = new Tone.Loop((time) => {
-    pad.triggerAttackRelease(chords[chordStep % chords.length], '1n', time);
-    chordStep++;
-  }, '2n').start(0);
+  if (data.instruments !== undefined) {
+    if (!isObj(data.instruments)) errors.push('instruments must be an object');
+    else Object.entries(data.instruments).forEach(([name, inst]) => {
+      const path = `instruments.${name}`;
+      if (!DEFAULT_INSTRUMENTS[name]) { errors.push(`${path} is not one of ${Object.keys(DEFAULT_INSTRUMENTS).join(', ')}`); return; }
+      if (!isObj(inst)) { errors.push(`${path} must be an object`); return; }
+      ['volume', 'kickVolume', 'snareVolume', 'hatVolume'].forEach(k => checkNumber(inst[k], `${path}.${k}`, -60, 6));
+      if (inst.oscillator !== undefined && !['sine', 'triangle', 'square', 'sawtooth'].includes(inst.oscillator)) errors.push(`${path}.oscillator must be sine, triangle, square or sawtooth`);
+      checkTime(inst.rate, `${path}.rate`);
+      checkTime(inst.duration, `${path}.duration`);
+      if (inst.envelope !== undefined) {
+        if (!isObj(inst.envelope)) errors.push(`${path}.envelope must be an object`);
+        else ['attack', 'decay', 'sustain', 'release'].forEach(k => checkNumber(inst.envelope[k], `${path}.envelope.${k}`, 0, 10));
+      }
+    });
+  }
 
-  let mStep = 0;
-  const melodyLoop = new Tone.Loop((time) => {
-    lead.triggerAttackRelease(melodyNotes[mStep % melodyNotes.length], '8n', time);
-    mStep++;
-  }, '8n').start(0);
+  if (!isObj(data.patterns) || !Object.keys(data.patterns).length) {
+    errors.push('patterns must be an object with at least one named pattern');
+  } else {
+    Object.entries(data.patterns).forEach(([name, pat]) => {
+      const path = `patterns.${name}`;
+      if (!isObj(pat)) { errors.push(`${path} must be an object`); return; }
+      const steps = pat.steps ?? 16;
+      if (!Number.isInteger(steps) || steps < 1 || steps > 64) errors.push(`${path}.steps must be an integer from 1 to 64`);
+      if (pat.drums !== undefined) {
+        if (!isObj(pat.drums)) errors.push(`${path}.drums must be an object { kick, snare, hat }`);
+        else Object.entries(pat.drums).forEach(([voice, hits]) => {
+          if (!['kick', 'snare', 'hat'].includes(voice)) { errors.push(`${path}.drums.${voice} is not kick, snare or hat`); return; }
+          if (!Array.isArray(hits)) { errors.push(`${path}.drums.${voice} must be an array of step numbers`); return; }
+          hits.forEach((h, i) => { if (!Number.isInteger(h) || h < 0 || h >= steps) errors.push(`${path}.drums.${voice}[${i}] must be a step from 0 to ${steps - 1}`); });
+        });
+      }
+      if (pat.bass !== undefined) checkNotes(pat.bass, `${path}.bass`);
+      if (!Array.isArray(pat.chords) || !pat.chords.length) errors.push(`${path}.chords must be a non-empty array of chords`);
+      else pat.chords.forEach((c, i) => checkNotes(c, `${path}.chords[${i}]`));
+      checkNotes(pat.melody, `${path}.melody`, { rests: true });
+    });
+  }
 
-  hook.startHook();
+  if (data.sections !== undefined) {
+    if (!Array.isArray(data.sections) || !data.sections.length) errors.push('sections must be a non-empty array');
+    else data.sections.forEach((sec, i) => {
+      const path = `sections[${i}]`;
+      if (!isObj(sec)) { errors.push(`${path} must be an object`); return; }
+      if (!isObj(data.patterns) || !data.patterns[sec.pattern]) errors.push(`${path}.pattern "${sec.pattern}" does not name a pattern`);
+      if (!Number.isInteger(sec.bars) || sec.bars < 1) errors.push(`${path}.bars must be a positive integer`);
+      if (sec.parts !== undefined) {
+        if (!Array.isArray(sec.parts)) errors.push(`${path}.parts must be an array`);
+        else sec.parts.forEach(p => { if (!ARRANGEMENT_PARTS.includes(p)) errors.push(`${path}.parts "${p}" is not one of ${ARRANGEMENT_PARTS.join(', ')}`); });
+      }
+    });
+  }
 
-  melodyLoop.callback = (time) => {
-    try {
-      padGain.gain.cancelScheduledValues(time);
-      padGain.gain.setValueAtTime(0.7, time);
-      padGain.gain.linearRampToValueAtTime(1.0, time + (60 / bpm) * 0.6);
-    } catch (e) {}
-  };
+  if (data.hook !== undefined) {
+    if (!isObj(data.hook)) errors.push('hook must be an object');
+    else {
+      if (data.hook.steps !== undefined) {
+        if (!Array.isArray(data.hook.steps)) errors.push('hook.steps must be an array of step numbers');
+        else data.hook.steps.forEach((h, i) => { if (!Number.isInteger(h) || h < 0 || h > 63) errors.push(`hook.steps[${i}] must be a step from 0 to 63`); });
+      }
+      checkNumber(data.hook.duration, 'hook.duration', 0.01, 2);
+      checkNumber(data.hook.volume, 'hook.volume', -60, 6);
+    }
+  }
+  return errors;
+}
 
+function normalizeArrangement(data) {
+  const instruments = {};
+  Object.keys(DEFAULT_INSTRUMENTS).forEach(name => {
+    instruments[name] = { ...DEFAULT_INSTRUMENTS[name], ...((data.instruments || {})[name] || {}) };
+  });
+  const patterns = {};
+  Object.entries(data.patterns).forEach(([name, pat]) => {
+    patterns[name] = {
+      steps: pat.steps ?? 16,
+      drums: { kick: [], snare: [], hat: [], ...(pat.drums || {}) },
+      bass: pat.bass || [],
+      chords: pat.chords,
+      melody: pat.melody
+    };
+  });
+  const firstPattern = Object.keys(patterns)[0];
   return {
-    stop() {
-      [drumLoop, bassLoop, chordLoop, melodyLoop].forEach(l => { try { l.stop(); l.dispose(); } catch (e) {} });
-      hook.stopHook();
-    },
-    dispose() {
-      try { hook.dispose(); } catch (e) {}
-      try { pad.dispose(); lead.dispose(); bass.dispose(); padGain.dispose(); } catch (e) {}
-    }
+    id: data.id,
+    name: data.name,
+    tempo: { min: 60, max: 100, ...(data.tempo || {}) },
+    key: data.key ? { tonic: pitchClassOf(data.key.tonic), scale: data.key.scale } : { tonic: 0, scale: 'major' },
+    instruments,
+    patterns,
+    sections: (data.sections || [{ name: 'loop', pattern: firstPattern, bars: 1 }]).map(sec => ({ name: sec.name || sec.pattern, ...sec })),
+    hook: { ...DEFAULT_HOOK, ...(data.hook || {}) }
   };
 }
 
-async function style_Attention(params) { return await createAttentionLike({ ...params }); }
-async function style_LeftRight(params) {
-  const chords = [['F4','A4','C5'], ['D4','F4','A4'], ['Bb3','D4','F4'], ['C4','E4','G4']];
-  const melody = ['G5','A5','B5','A5','G5','E5','D5','C5'];
-  return await createAttentionLike({ ...params, melodyNotes: melody, chords });
-}
-async function style_LightSwitch(params) {
-  const chords = [['C4','E4','G4'], ['G3','B3','D4'], ['F3','A3','C4'], ['E3','G3','B3']];
-  const melody = ['C6','B5','A5','G5','E5','D5','C5','B4'];
-  return await createAttentionLike({ ...params, melodyNotes: melody, chords });
+/* throws one readable Error per file; the full list is kept on err.details for the console */
+function parseArrangement(data, source) {
+  const errors = validateArrangement(data);
+  if (errors.length) {
+    const more = errors.length > 1 ? ` (+${errors.length - 1} more, see console)` : '';
+    const err = new Error(`${source}: ${errors[0]}${more}`);
+    err.details = errors;
+    throw err;
+  }
+  return normalizeArrangement(data);
 }
-async function style_WeDontTalkAnymore(params) {
-  const chords = [['A3','C4','E4'], ['F3','A3','C4'], ['D3','F3','A3'], ['E3','G3','B3']];
-  const melody = ['A5','G5','E5','D5','C5','B4','A4','G4'];
-  return await createAttentionLike({ ...params, melodyNotes: melody, chords });
+
+/* section lookup by absolute bar, with the bar's index inside it; the section list loops */
+function sectionAtBar(arrangement, bar) {
+  const total = arrangement.sections.reduce((n, sec) => n + sec.bars, 0);
+  let b = ((bar % total) + total) % total;
+  for (const sec of arrangement.sections) {
+    if (b < sec.bars) return { section: sec, bar: b };
+    b -= sec.bars;
+  }
+  return { section: arrangement.sections[0], bar: 0 };
 }
-async function style_HowLong(params) {
-  const chords = [['E4','G#4','B4'], ['C#4','E4','G#4'], ['A3','C#4','E4'], ['B3','D#4','F#4']];
-  const melody = ['E5','F#5','G#5','B5','G#5','F#5','E5','B4'];
-  return await createAttentionLike({ ...params, melodyNotes: melody, chords });
+/* uses the current context's transport so offline renders see their own timeline */
+function barAtTime(time) {
+  const transport = Tone.getContext().transport;
+  return Math.floor(transport.getTicksAtTime(time) / (transport.PPQ * 4));
 }
 
-/* --- Playback --- */
-async function playProduction() {
-  if (!nowPlaying) return;
+/* --- Generative variation --- */
+/*
+  With variation on, each production gets a 32-bit seed and buildStyle() hands the engine a
+  generated song instead of the written loop: SONG_FORM sections that bring parts in and out,
+  melodies mutated along the key's scale, and a drum fill closing every `fillEvery` bars.
+  The same seed, arrangement and key always give the same song, so a take can be recalled
+  from its seed (shown in the panel, the info box, share links and exported WAVs).
+*/
+const VARIATION_STORAGE_KEY = 'birdwave.variation';
+const VARIATION_FILL_CHOICES = [2, 4, 8];
+const SEED_RE = /^[0-9a-z]{1,7}$/;
+
+// `mutate` is the share of melody notes moved; `maybe` parts are each a coin flip
+const SONG_FORM = [
+  { name: 'intro', bars: [2, 4], parts: ['chords', 'hook'], maybe: ['melody', 'drums'], mutate: 0 },
+  { name: 'verse', bars: [8], parts: ['drums', 'bass', 'chords', 'hook'], maybe: ['melody'], mutate: 0, fills: true },
+  { name: 'verse', bars: [8], parts: ['drums', 'bass', 'chords', 'melody', 'hook'], mutate: 0.3, fills: true },
+  { name: 'break', bars: [4], parts: ['chords'], maybe: ['melody', 'bass', 'hook'], mutate: 0.5 },
+  { name: 'verse', bars: [8], parts: ['drums', 'bass', 'chords', 'melody', 'hook'], mutate: 0.4, fills: true },
+  { name: 'outro', bars: [4], parts: ['chords', 'hook'], maybe: ['drums', 'melody'], mutate: 0.2 }
+];
+
+// seed: the kept seed, used for every production while `locked`
+let variation = { on: true, seed: null, locked: false, fillEvery: 4 };
+// a shared link's take: { birdId, seed }, replayed for that channel only and never saved
+let linkedTake = null;
+
+function loadVariationState() {
   try {
-    await Tone.start();
-    try { Tone.Transport.stop(); Tone.Transport.cancel(); } catch (e) {}
+    const saved = JSON.parse(localStorage.getItem(VARIATION_STORAGE_KEY) || '{}');
+    if (typeof saved.on === 'boolean') variation.on = saved.on;
+    if (Number.isInteger(saved.seed) && saved.seed >= 0 && saved.seed < 2 ** 32) variation.seed = saved.seed;
+    if (typeof saved.locked === 'boolean') variation.locked = saved.locked && variation.seed !== null;
+    if (VARIATION_FILL_CHOICES.includes(saved.fillEvery)) variation.fillEvery = saved.fillEvery;
+  } catch (e) {}
+}
+function saveVariationState() {
+  try { localStorage.setItem(VARIATION_STORAGE_KEY, JSON.stringify(variation)); } catch (e) {}
+}
 
-    const master = createMasterBus();
-    const audioUrl = `./audio/${nowPlaying.fileName}`;
-    const birdIndex = Math.max(0, recordings.findIndex(b => String(b.id) === String(nowPlaying.id)));
-    const bpm = nowPlaying.bpmEstimate || 72;
-    Tone.Transport.bpm.value = bpm;
+function randomSeed() { return Math.floor(Math.random() * 2 ** 32); }
+function formatSeed(seed) { return seed.toString(36); }
+function parseSeed(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!SEED_RE.test(value)) return null;
+  const seed = parseInt(value, 36);
+  return seed < 2 ** 32 ? seed : null;
+}
 
-    let sliceTime = 0.3;
-    try { sliceTime = await findBestSliceTime(audioUrl, 120).catch(() => 0.3); } catch (e) { sliceTime = 0.3; }
-
-    const roots = [60,62,64,65,67];
-    const rootMidi = roots[birdIndex % roots.length];
-    const targetMidi = rootMidi + 12;
-    const sampleBaseMidi = 60;
-    let semitoneShift = targetMidi - sampleBaseMidi;
-    const snapped = snapToScale(semitoneShift, rootMidi, [0,2,3,5,7,8,10]);
-    semitoneShift = snapped;
-
-    const styleIndex = birdIndex % 5;
-    let styleInstance = null;
-    if (styleIndex === 0) styleInstance = await style_Attention({ audioUrl, sliceTime, semitone: semitoneShift, bpm, master });
-    else if (styleIndex === 1) styleInstance = await style_LeftRight({ audioUrl, sliceTime, semitone: semitoneShift, bpm, master });
-    else if (styleIndex === 2) styleInstance = await style_LightSwitch({ audioUrl, sliceTime, semitone: semitoneShift, bpm, master });
-    else if (styleIndex === 3) styleInstance = await style_WeDontTalkAnymore({ audioUrl, sliceTime, semitone: semitoneShift, bpm, master });
-    else styleInstance = await style_HowLong({ audioUrl, sliceTime, semitone: semitoneShift, bpm, master });
-
-    activeTrack = { styleInstance, master };
+/* mulberry32: small, fast and plenty for choosing notes */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.pick = (list) => list[Math.floor(next() * list.length)];
+  next.chance = (p) => next() < p;
+  return next;
+}
 
-    if (Tone.Transport.state !== 'started') Tone.Transport.start();
+/* the take for a new production of `bird`, or null when variation is off */
+function nextTake(bird = null) {
+  if (linkedTake && bird && linkedTake.birdId !== bird.id) linkedTake = null;
+  if (linkedTake) return { seed: linkedTake.seed, fillEvery: variation.fillEvery };
+  if (!variation.on) return null;
+  const seed = variation.locked && variation.seed !== null ? variation.seed : randomSeed();
+  return { seed, fillEvery: variation.fillEvery };
+}
 
-    isPlaying = true;
-    const playBtn = $id('playBtn');
-    if (playBtn) {
-      playBtn.textContent = '⏸ Pause';
-      playBtn.setAttribute('aria-pressed', 'true');
-    }
+/* moves `midi` by `degrees` steps of the key's scale; off-scale notes are snapped first */
+function stepInScale(midi, key, degrees) {
+  const steps = SCALES[key.scale].steps;
+  const snapped = 60 + snapToScale(midi - 60, 60 + key.tonic, steps);
+  const rel = snapped - key.tonic;
+  const octave = Math.floor(rel / 12);
+  const index = octave * steps.length + steps.indexOf(rel - octave * 12) + degrees;
+  const o = Math.floor(index / steps.length);
+  return key.tonic + o * 12 + steps[index - o * steps.length];
+}
 
-    const srStatus = $id('srStatus');
-    if (srStatus && nowPlaying) srStatus.textContent = `Playing ${nowPlaying.species}, duration ${nowPlaying.length}`;
+/* neighbour tones, skips, repeats and rests; on-beat notes carry the tune so they move less */
+function mutateMelody(melody, key, rng, amount) {
+  let prev = null;
+  return melody.map((note, i) => {
+    if (note === null) return null; // written rests stay rests
+    const midi = noteToMidi(note);
+    let out = midi;
+    if (rng.chance(i % 2 === 0 ? amount / 3 : amount)) {
+      const r = rng();
+      if (r < 0.55) out = stepInScale(midi, key, rng.pick([-1, 1]));
+      else if (r < 0.75) out = stepInScale(midi, key, rng.pick([-2, 2]));
+      else if (r < 0.9 && prev !== null) out = prev;
+      else return null;
+    }
+    prev = out;
+    return midiToNote(out);
+  });
+}
 
-    startWaveformAnimation();
-  } catch (err) {
-    console.error('playProduction error', err);
-    handleError(err, { userMessage: 'Failed to play production. Check console.' });
-    stopPlay();
-  }
+/* first half of the bar as written, then a snare run into the next bar */
+function drumFill(drums, steps, rng) {
+  const half = Math.floor(steps / 2);
+  const keep = (hits) => hits.filter(s => s < half);
+  const kick = keep(drums.kick);
+  const snare = keep(drums.snare);
+  const density = rng.pick([0.35, 0.5, 0.7]);
+  for (let s = half; s < steps; s++) if (s === steps - 1 || rng.chance(density)) snare.push(s);
+  if (rng.chance(0.5)) kick.push(half);
+  return { kick, snare, hat: keep(drums.hat) };
 }
 
-function stopPlay() {
-  if (activeTrack) {
-    try {
-      if (activeTrack.styleInstance && activeTrack.styleInstance.stop) activeTrack.styleInstance.stop();
-      if (activeTrack.styleInstance && activeTrack.styleInstance.dispose) activeTrack.styleInstance.dispose();
-
-      if (activeTrack.master) {
-        try { if (activeTrack.master.low && activeTrack.master.low.dispose) activeTrack.master.low.dispose(); } catch(e) {}
-        try { if (activeTrack.master.sat && activeTrack.master.sat.dispose) activeTrack.master.sat.dispose(); } catch(e) {}
-        try { if (activeTrack.master.reverb && activeTrack.master.reverb.dispose) activeTrack.master.reverb.dispose(); } catch(e) {}
-        try { if (activeTrack.master.vinylSource && activeTrack.master.vinylSource.stop) activeTrack.master.vinylSource.stop(); } catch(e) {}
-        try { if (activeTrack.master.wobble && activeTrack.master.wobble.stop) activeTrack.master.wobble.stop(); } catch(e) {}
-        try { if (activeTrack.master.limiter && activeTrack.master.limiter.dispose) activeTrack.master.limiter.dispose(); } catch(e) {}
-        try { if (activeTrack.master.comp && activeTrack.master.comp.dispose) activeTrack.master.comp.dispose(); } catch(e) {}
+/*
+  Replaces the written sections with SONG_FORM. Its sections take the written sections'
+  patterns in turn, each as a copy with its own melody variant and fill; `source` names the
+  written pattern a section was made from.
+*/
+function generateVariation(arrangement, take) {
+  const rng = seededRandom(take.seed);
+  const sources = arrangement.sections.map(sec => sec.pattern);
+  const patterns = { ...arrangement.patterns };
+  const sections = SONG_FORM.map((form, i) => {
+    const source = sources[i % sources.length];
+    const base = arrangement.patterns[source];
+    const name = `${source}~${i}`;
+    patterns[name] = {
+      ...base,
+      melody: form.mutate ? mutateMelody(base.melody, arrangement.key, rng, form.mutate) : base.melody,
+      fill: drumFill(base.drums, base.steps, rng)
+    };
+    const parts = [...form.parts, ...(form.maybe || []).filter(() => rng.chance(0.5))];
+    return {
+      name: form.name,
+      pattern: name,
+      source,
+      bars: rng.pick(form.bars),
+      parts: ARRANGEMENT_PARTS.filter(p => parts.includes(p)),
+      fillEvery: form.fills ? take.fillEvery : 0
+    };
+  });
+  return { ...arrangement, patterns, sections, take };
+}
+
+function currentTake() {
+  return activeTrack && activeTrack.plan ? activeTrack.plan.take || null : null;
+}
+
+function renderVariationPanel() {
+  const take = currentTake();
+  const info = $id('takeSeed');
+  if (info) info.textContent = take ? `seed ${formatSeed(take.seed)}` : (variation.on ? '—' : 'as written');
+  const form = $id('variationForm');
+  if (!form) return;
+  form.elements.variationOn.checked = variation.on;
+  form.elements.variationFills.value = String(variation.fillEvery);
+  form.elements.variationKeep.checked = variation.locked;
+  const shown = variation.locked ? variation.seed : take ? take.seed : null;
+  form.elements.variationSeed.value = shown === null ? '' : formatSeed(shown);
+  [form.elements.variationFills, form.elements.variationSeed, form.elements.variationKeep].forEach(el => { el.disabled = !variation.on; });
+  const reroll = $id('variationRerollBtn');
+  if (reroll) reroll.disabled = !variation.on;
+}
+
+async function setVariation(changes, { restart = false } = {}) {
+  variation = { ...variation, ...changes };
+  linkedTake = null; // any change in the panel replaces the linked take
+  saveVariationState();
+  renderVariationPanel();
+  saveSession();
+  if (!restart) return;
+  if (isPlaying || playRequest) {
+    await playProduction();
+  } else if (isPaused) {
+    stopPlay();
+  }
+}
+
+/* a fresh seed; stays kept if the old one was */
+function newTake() {
+  return setVariation(variation.locked ? { seed: randomSeed() } : {}, { restart: true });
+}
+
+function wireVariationPanel() {
+  wirePopoverToggle('variationBtn', 'variationPanel');
+  const form = $id('variationForm');
+  if (form) {
+    form.addEventListener('change', (e) => {
+      const el = e.target;
+      if (el.name === 'variationOn') setVariation({ on: el.checked }, { restart: true });
+      else if (el.name === 'variationFills') setVariation({ fillEvery: Number(el.value) }, { restart: true });
+      else if (el.name === 'variationKeep') {
+        const take = currentTake();
+        setVariation(el.checked ? { locked: true, seed: take ? take.seed : (variation.seed ?? randomSeed()) } : { locked: false });
+      } else if (el.name === 'variationSeed') {
+        const seed = parseSeed(el.value);
+        if (seed === null) {
+          showBanner('A seed is 1–7 letters or digits, as shown in the panel', { timeout: 4000 });
+          renderVariationPanel();
+        } else {
+          setVariation({ seed, locked: true }, { restart: true });
+        }
       }
-    } catch (e) { console.warn('Error stopping active track', e); }
+    });
+    form.addEventListener('submit', (e) => e.preventDefault());
+  }
+  const reroll = $id('variationRerollBtn');
+  if (reroll) reroll.addEventListener('click', newTake);
+}
+
+/* --- Groove & drum kits --- */
+/*
+  The drum loop asks grooveHit() for every hit's offset and velocity. Swing delays the
+  off-16ths (shown MPC-style: 50% is straight, 75% a full triplet), the template pushes whole
+  voices late and accents steps within each beat, and humanize adds per-voice jitter to both.
+  Humanize draws from the take's seed, so a kept seed keeps its feel. Changes apply on the
+  next step; only switching kits rebuilds the track.
+
+  The default kit is cut from each track's own recording (see birdKitFor). Other kits are
+  folders of samples picked by the listener: the first file whose name says
+  kick/snare/hat (or bd/sd/hh, clap, rim…) becomes that voice, the rest fall back to synths.
+  The encoded files live in the `drum-kits` store of the audio database.
+*/
+const GROOVE_STORAGE_KEY = 'birdwave.groove';
+const KIT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+// short names must stand alone between non-letters (808_bd.wav, TR909_SD.wav, kit_hh.wav),
+// so "hat" in what.wav or "rim" in trim.wav doesn't pick a voice; digits and _ count as gaps
+const KIT_VOICE_PATTERNS = {
+  kick: /kick|bassdrum|(^|[^a-z])bd([^a-z]|$)/i,
+  snare: /snare|clap|(^|[^a-z])(sd|rim|rimshot)([^a-z]|$)/i,
+  hat: /shaker|cymbal|(^|[^a-z]|hi|open|closed)(hh|hats?)([^a-z]|$)/i
+};
+const HUMANIZE = {
+  kick: { ms: 4, velocity: 0.1 },
+  snare: { ms: 8, velocity: 0.2 },
+  hat: { ms: 10, velocity: 0.35 }
+};
+
+// push: voice delay in 16ths; accents: velocity per 16th within the beat (cycled)
+const GROOVE_TEMPLATES = {
+  straight: { name: 'Straight', push: {}, accents: { hat: [1, 0.6, 0.8, 0.6] } },
+  boombap: { name: 'Boom bap', push: { snare: 0.06, hat: 0.03 }, accents: { kick: [1, 0.7, 0.85, 0.7], hat: [0.9, 0.5, 0.75, 0.55] } },
+  halftime: { name: 'Half-time', halfTime: true, push: { snare: 0.04 }, accents: { hat: [1, 0.6, 0.8, 0.6] } },
+  dilla: { name: 'Dilla (late snare)', push: { kick: -0.03, snare: 0.22, hat: 0.08 }, accents: { hat: [0.8, 0.55, 0.9, 0.5] } }
+};
+
+let groove = { template: 'boombap', swing: 0.12, humanize: 0.3, kit: 'bird' };
+let drumKits = [];   // { id, name, voices: { kick, snare, hat } } with decoded AudioBuffers
+// 'bird' is cut from each track's own recording (birdKitFor); voices it can't fill use the synths
+const BUILT_IN_KITS = [{ id: 'bird', name: 'Bird kit (from the recording)' }, { id: 'synth', name: 'Synth kit' }];
+function isBuiltInKit(id) { return BUILT_IN_KITS.some(k => k.id === id); }
+
+function normalizeGroove(saved) {
+  const inRange = (v, max, fallback) => (typeof v === 'number' && v >= 0 && v <= max ? v : fallback);
+  return {
+    template: saved && GROOVE_TEMPLATES[saved.template] ? saved.template : 'boombap',
+    swing: inRange(saved && saved.swing, 0.5, 0.12),
+    humanize: inRange(saved && saved.humanize, 1, 0.3),
+    kit: saved && typeof saved.kit === 'string' ? saved.kit : 'bird'
+  };
+}
+function loadGrooveState() {
+  try { groove = normalizeGroove(JSON.parse(localStorage.getItem(GROOVE_STORAGE_KEY) || 'null')); }
+  catch (e) { groove = normalizeGroove(null); }
+}
+function saveGrooveState() {
+  try { localStorage.setItem(GROOVE_STORAGE_KEY, JSON.stringify(groove)); } catch (e) {}
+}
+
+function formatSwing(swing) { return `${Math.round(50 + swing * 50)}%`; }
+
+/* beat 3 snare, kick off the backbeat, quarter-note hats; cached per pattern */
+const _halfTimeDrums = new WeakMap();
+function halfTimeDrums(pattern) {
+  if (!_halfTimeDrums.has(pattern)) {
+    const half = Math.floor(pattern.steps / 2);
+    const { kick, snare, hat } = pattern.drums;
+    _halfTimeDrums.set(pattern, {
+      kick: kick.filter(s => s !== half),
+      snare: snare.length ? [half] : [],
+      hat: hat.filter(s => s % 4 === 0)
+    });
+  }
+  return _halfTimeDrums.get(pattern);
+}
+
+function grooveDrums(pattern, settings = groove) {
+  const template = GROOVE_TEMPLATES[settings.template] || GROOVE_TEMPLATES.straight;
+  return template.halfTime ? halfTimeDrums(pattern) : pattern.drums;
+}
+
+/* offset in seconds (may be slightly negative) and velocity 0..1 for one hit */
+function grooveHit(voice, pos, sixteenth, rng, settings = groove) {
+  const template = GROOVE_TEMPLATES[settings.template] || GROOVE_TEMPLATES.straight;
+  const accents = template.accents[voice] || [1];
+  const human = HUMANIZE[voice];
+  let offset = (template.push[voice] || 0) * sixteenth;
+  if (pos % 2 === 1) offset += settings.swing * sixteenth;
+  offset += (rng() * 2 - 1) * settings.humanize * human.ms / 1000;
+  const velocity = accents[pos % accents.length] * (1 - settings.humanize * human.velocity * rng());
+  return { offset, velocity: Math.max(0.05, Math.min(1, velocity)) };
+}
+
+function kitSamplesFor(id, birdKit = null) {
+  if (id === 'bird') return birdKit;
+  const kit = drumKits.find(k => k.id === id);
+  return kit ? kit.voices : null;
+}
+
+async function decodeKitRow(row) {
+  const voices = {};
+  for (const voice of DRUM_VOICES) {
+    const file = row.voices[voice];
+    if (!file) continue;
+    try { voices[voice] = await Tone.context.rawContext.decodeAudioData(file.data.slice(0)); }
+    catch (e) { console.warn(`Kit ${row.name}: could not decode ${file.fileName}`, e); }
+  }
+  return { id: row.id, name: row.name, voices };
+}
+
+async function loadDrumKits() {
+  let rows = [];
+  try { rows = await _idbStoreRequest(DRUM_KITS_STORE, 'readonly', store => store.getAll()); } catch (e) { console.warn('Drum kits unavailable:', e); }
+  drumKits = await Promise.all(rows.sort((a, b) => a.addedAt - b.addedAt).map(decodeKitRow));
+  if (!isBuiltInKit(groove.kit) && !drumKits.some(k => k.id === groove.kit)) { groove.kit = 'bird'; saveGrooveState(); }
+}
+
+/* `files` from a webkitdirectory input; the kit is named after the folder */
+async function addDrumKit(files) {
+  const audio = Array.from(files)
+    .filter(f => /\.(wav|mp3|ogg|aiff?|flac)$/i.test(f.name) && f.size <= KIT_MAX_FILE_BYTES)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const first = audio[0] || files[0];
+  const folder = first && first.webkitRelativePath ? first.webkitRelativePath.split('/')[0] : 'Kit';
+  const row = { id: `kit-${Date.now().toString(36)}`, name: folder, addedAt: Date.now(), voices: {} };
+  for (const voice of DRUM_VOICES) {
+    const file = audio.find(f => KIT_VOICE_PATTERNS[voice].test(f.name));
+    if (file) row.voices[voice] = { fileName: file.name, type: file.type, data: await file.arrayBuffer() };
+  }
+  const found = DRUM_VOICES.filter(v => row.voices[v]);
+  if (!found.length) {
+    showBanner(`No kick, snare or hat samples found in ${folder} — name files like kick.wav, snare.wav, hat.wav`);
+    return null;
+  }
+  const kit = await decodeKitRow(row);
+  try { await _idbStoreRequest(DRUM_KITS_STORE, 'readwrite', store => store.put(row)); } catch (e) {
+    showBanner(`${folder} was loaded for this session only — it could not be saved locally`, { type: 'info' });
+  }
+  drumKits.push(kit);
+  const missing = DRUM_VOICES.filter(v => !kit.voices[v]);
+  showBanner(`Loaded kit ${folder}${missing.length ? ` (synth ${missing.join(' and ')})` : ''}`, { type: 'info', timeout: 4000 });
+  return kit;
+}
+
+async function removeDrumKit(id) {
+  drumKits = drumKits.filter(k => k.id !== id);
+  try { await _idbStoreRequest(DRUM_KITS_STORE, 'readwrite', store => store.delete(id)); } catch (e) { console.warn('Could not delete drum kit:', e); }
+  if (groove.kit === id) await setGroove({ kit: 'bird' });
+  else renderGroovePanel();
+}
+
+async function setGroove(changes) {
+  const kitChanged = changes.kit !== undefined && changes.kit !== groove.kit;
+  groove = normalizeGroove({ ...groove, ...changes });
+  saveGrooveState();
+  renderGroovePanel();
+  if (!kitChanged) return;
+  if (isPlaying || playRequest) {
+    await playProduction();
+  } else if (isPaused) {
+    stopPlay();
+  }
+}
+
+function renderGroovePanel() {
+  const body = $id('grooveBody');
+  if (!body) return;
+  const templates = Object.entries(GROOVE_TEMPLATES).map(([id, t]) => `<option value="${id}">${escapeHtml(t.name)}</option>`).join('');
+  const kits = [...BUILT_IN_KITS, ...drumKits].map(k => `<option value="${escapeHtml(k.id)}">${escapeHtml(k.name)}</option>`).join('');
+  body.innerHTML = `
+    <label class="texture-preset">
+      <span class="mixer-label">Groove</span>
+      <select id="grooveTemplate" class="control-select">${templates}</select>
+    </label>
+    <div class="mixer-row texture-row">
+      <span class="mixer-label">Swing</span>
+      <input type="range" class="mixer-fader" data-groove="swing" min="0" max="0.5" step="0.01" value="${groove.swing}" aria-label="Swing" />
+      <span class="mixer-db">${formatSwing(groove.swing)}</span>
+    </div>
+    <div class="mixer-row texture-row">
+      <span class="mixer-label">Humanize</span>
+      <input type="range" class="mixer-fader" data-groove="humanize" min="0" max="1" step="0.05" value="${groove.humanize}" aria-label="Humanize" />
+      <span class="mixer-db">${Math.round(groove.humanize * 100)}%</span>
+    </div>
+    <label class="texture-preset">
+      <span class="mixer-label">Kit</span>
+      <select id="grooveKit" class="control-select">${kits}</select>
+    </label>
+    <div class="groove-kit-actions">
+      <button type="button" class="user-action" id="kitLoadBtn" title="Pick a folder with kick, snare and hat samples">+ Load kit folder</button>
+      <button type="button" class="user-action" id="kitRemoveBtn"${isBuiltInKit(groove.kit) ? ' disabled' : ''}>Remove kit</button>
+    </div>`;
+  $id('grooveTemplate').value = groove.template;
+  $id('grooveKit').value = groove.kit;
+}
+
+function wireGroovePanel() {
+  wirePopoverToggle('grooveBtn', 'groovePanel');
+  const body = $id('grooveBody');
+  const input = $id('kitFolderInput');
+  if (!body) return;
+  body.addEventListener('input', (e) => {
+    const knob = e.target.closest('[data-groove]');
+    if (!knob) return;
+    const key = knob.dataset.groove;
+    groove = normalizeGroove({ ...groove, [key]: Number(knob.value) });
+    saveGrooveState();
+    const readout = knob.nextElementSibling;
+    if (readout) readout.textContent = key === 'swing' ? formatSwing(groove.swing) : `${Math.round(groove.humanize * 100)}%`;
+  });
+  body.addEventListener('change', (e) => {
+    if (e.target.id === 'grooveTemplate') setGroove({ template: e.target.value });
+    else if (e.target.id === 'grooveKit') setGroove({ kit: e.target.value });
+  });
+  body.addEventListener('click', (e) => {
+    if (e.target.id === 'kitLoadBtn' && input) input.click();
+    else if (e.target.id === 'kitRemoveBtn' && !isBuiltInKit(groove.kit)) removeDrumKit(groove.kit);
+  });
+  if (input) input.addEventListener('change', async () => {
+    const files = input.files;
+    input.value = '';
+    let kit = null;
+    try { kit = await addDrumKit(files); } catch (e) { handleError(e, { userMessage: 'Could not load that kit folder' }); }
+    if (kit) await setGroove({ kit: kit.id });
+  });
+}
+
+/* --- Composition builder --- */
+async function createAttentionLike({ audioUrl, audioBuffer = null, sliceTime, semitone, slices = null, bpm, take = null, grooveSeed = null, birdKit = null, master, scope = master.scope, arrangement = normalizeArrangement(DEFAULT_ARRANGEMENT) }) {
+  const own = scope.own;
+  const inst = arrangement.instruments;
+  const current = (time) => {
+    const { section, bar } = sectionAtBar(arrangement, barAtTime(time));
+    return { section, bar, pattern: arrangement.patterns[section.pattern] };
+  };
+  const partOn = (section, part) => !section.parts || section.parts.includes(part);
+
+  // one fader per mixer part, sitting where each part used to join the master bus
+  const parts = {
+    drums: own(new Tone.Volume(0).connect(master.sat)),
+    bass: own(new Tone.Volume(0).connect(master.low)),
+    pad: own(new Tone.Volume(0).connect(master.reverb)),
+    lead: own(new Tone.Volume(0).connect(master.reverb)),
+    hook: own(new Tone.Volume(0).connect(master.low)),
+    ambience: own(new Tone.Volume(0).connect(master.reverb))
+  };
+
+  const pad = own(simplePad(inst.pad));
+  const padGain = own(new Tone.Gain(1));
+  pad.connect(padGain);
+  padGain.connect(parts.pad);
+
+  const leadObj = simpleLead(inst.lead);
+  const lead = own(leadObj.synth);
+  lead.connect(parts.lead);
+
+  const bass = own(simpleBass(inst.bass));
+  bass.connect(parts.bass);
+
+  let hookStep = 0;
+  const hook = await createSampleHook(audioUrl, {
+    buffer: audioBuffer,
+    sliceTime, semitone,
+    slices,
+    sliceIndexAt: (time) => Math.floor(barAtTime(time) / 2), // new phrase every two bars
+    sliceDur: arrangement.hook.duration,
+    vol: arrangement.hook.volume,
+    loopRate: '16n',
+    scope,
+    shouldTrigger: (time) => {
+      const { section, pattern } = current(time);
+      const pos = hookStep++ % pattern.steps;
+      return partOn(section, 'hook') && arrangement.hook.steps.includes(pos); // read live for the sequencer
+    }
+  });
+  hook.gain.connect(parts.hook);
+
+  // a few seconds of the recording, frozen into a slow granular pad an octave under the hook
+  let ambience = null;
+  const ambienceGain = own(new Tone.Gain(0));
+  if (audioBuffer) {
+    const region = ambienceRegion(audioBuffer.duration, slices && slices.length ? slices[0].time : sliceTime);
+    ambience = own(new Tone.GrainPlayer({
+      url: audioBuffer,
+      loop: true,
+      loopStart: region.start,
+      loopEnd: region.end,
+      grainSize: 0.25,
+      overlap: 0.12,
+      playbackRate: 0.08,
+      detune: ((slices && slices.length ? slices[0].semitone : semitone) - 12) * 100,
+      volume: inst.ambience.volume
+    }));
+    const ambienceFilter = own(new Tone.Filter(1800, 'lowpass'));
+    ambience.chain(ambienceFilter, ambienceGain, parts.ambience);
+    ambience.start();
+  }
+
+  const kit = drumsKit(parts.drums, inst.drums, kitSamplesFor(groove.kit, birdKit));
+  kit.nodes.forEach(own);
+  // without a take the feel is random per play, unless the caller pins it (offline renders)
+  const feel = seededRandom(take ? take.seed + 1 : grooveSeed ?? randomSeed());
+
+  let drumStep = 0;
+  const drumLoop = own(new Tone.Loop((time) => {
+    const { section, bar, pattern } = current(time);
+    const pos = drumStep % pattern.steps;
+    drumStep++;
+    if (!partOn(section, 'drums')) return;
+    const fill = pattern.fill && section.fillEvery && bar % section.fillEvery === section.fillEvery - 1;
+    const drums = fill ? pattern.fill : grooveDrums(pattern);
+    const sixteenth = 15 / Tone.getContext().transport.bpm.value;
+    DRUM_VOICES.forEach(voice => {
+      if (!drums[voice].includes(pos)) return;
+      const hit = grooveHit(voice, pos, sixteenth, feel);
+      kit.trigger(voice, time + hit.offset, hit.velocity);
+    });
+  }, '16n').start(0));
+
+  let bassStep = 0;
+  const bassLoop = own(new Tone.Loop((time) => {
+    const { section, pattern } = current(time);
+    const step = bassStep++;
+    if (!partOn(section, 'bass') || !pattern.bass.length) return;
+    bass.triggerAttackRelease(pattern.bass[step % pattern.bass.length], inst.bass.duration, time);
+  }, inst.bass.rate).start(0));
+
+  let chordStep = 0;
+  const chordLoop = own(new Tone.Loop((time) => {
+    const { section, pattern } = current(time);
+    const step = chordStep++;
+    const on = partOn(section, 'chords');
+    ambienceGain.gain.rampTo(on ? 1 : 0, 1, time); // the ambience follows the chords in and out
+    if (!on) return;
+    pad.triggerAttackRelease(pattern.chords[step % pattern.chords.length], inst.pad.duration, time);
+    // swell each chord in
+    try {
+      padGain.gain.cancelScheduledValues(time);
+      padGain.gain.setValueAtTime(0.7, time);
+      padGain.gain.linearRampToValueAtTime(1.0, time + (60 / bpm) * 0.6);
+    } catch (e) {}
+  }, inst.pad.rate).start(0));
+
+  let mStep = 0;
+  const melodyLoop = own(new Tone.Loop((time) => {
+    const { section, pattern } = current(time);
+    const step = mStep++;
+    const note = pattern.melody[step % pattern.melody.length];
+    if (!partOn(section, 'melody') || !note) return; // null is a rest
+    lead.triggerAttackRelease(note, inst.lead.duration, time);
+  }, inst.lead.rate).start(0));
+
+  hook.startHook();
+
+  return {
+    hookOutput: hook.gain,
+    parts,
+    arrangement,
+    setHookDuration: hook.setDuration,
+    sources: ambience ? [ambience] : [],
+    stop() {
+      [drumLoop, bassLoop, chordLoop, melodyLoop].forEach(l => { try { l.stop(); } catch (e) {} });
+      hook.stopHook();
+      if (ambience) { try { ambience.stop(); } catch (e) {} }
+    }
+    // nodes are freed with the track's scope
+  };
+}
+
+/* --- Style registry --- */
+/*
+  A style is a normalized arrangement plus an optional `build` (defaults to createAttentionLike).
+  Styles come from arrangements/*.json; registration order drives the automatic
+  per-channel choice, and listeners can override it per channel from the style picker.
+*/
+const STYLE_OVERRIDES_KEY = 'birdwave.styleOverrides';
+const styleRegistry = new Map();
+let styleOverrides = {};
+
+function registerStyle(arrangement) {
+  if (!arrangement || !arrangement.id || !arrangement.name) throw new Error('Style needs an id and a name');
+  const style = { build: createAttentionLike, ...arrangement };
+  styleRegistry.set(style.id, style);
+  return style;
+}
+function getStyle(id) { return styleRegistry.get(id) || null; }
+function listStyles() { return Array.from(styleRegistry.values()); }
+
+function autoStyleFor(bird) {
+  const styles = listStyles().filter(st => !st.custom);
+  const birdIndex = Math.max(0, recordings.findIndex(b => String(b.id) === String(bird.id)));
+  return styles[birdIndex % styles.length];
+}
+function resolveStyleFor(bird) {
+  const override = bird && getStyle(styleOverrides[bird.id]);
+  return override || autoStyleFor(bird);
+}
+function clampTempo(bpm, range) {
+  if (!range) return bpm;
+  return Math.min(range.max, Math.max(range.min, bpm));
+}
+
+/*
+  The instance keeps the arrangement as written (transposed, not varied) as `written`: the
+  step sequencer edits and saves that, and playSong() regenerates the take's song from it.
+*/
+async function buildStyle(style, params) {
+  // a running track's written arrangement (export after sequencer edits) is already transposed
+  let written = params.arrangement || (params.key ? transposeArrangement(style, params.key) : style);
+  // each track gets its own pattern map, so sequencer edits never leak into the registry
+  written = { ...written, patterns: { ...written.patterns } };
+  const arrangement = params.take ? generateVariation(written, params.take) : written;
+  const instance = await style.build({ ...params, arrangement });
+  instance.written = written;
+  return instance;
+}
+
+function loadStyleOverrides() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STYLE_OVERRIDES_KEY) || '{}');
+    styleOverrides = (saved && typeof saved === 'object') ? saved : {};
+  } catch (e) { styleOverrides = {}; }
+}
+function setStyleOverride(birdId, styleId) {
+  if (styleId && getStyle(styleId)) styleOverrides[birdId] = styleId;
+  else delete styleOverrides[birdId];
+  try { localStorage.setItem(STYLE_OVERRIDES_KEY, JSON.stringify(styleOverrides)); } catch (e) {}
+}
+
+/* --- Load arrangements --- */
+async function loadArrangements() {
+  let files = [];
+  try {
+    const response = await fetchWithTimeout(`${ARRANGEMENTS_DIR}index.json`, { timeout:8000, retries:1, backoff:400 });
+    const manifest = await response.json();
+    files = Array.isArray(manifest.arrangements) ? manifest.arrangements : [];
+  } catch (err) {
+    handleError(err, { userMessage: 'Could not load arrangements — using the built-in style.' });
+  }
+
+  for (const file of files) {
+    try {
+      const response = await fetchWithTimeout(ARRANGEMENTS_DIR + file, { timeout:8000, retries:1, backoff:400 });
+      let data;
+      try { data = await response.json(); } catch (e) { throw new Error(`${file}: not valid JSON (${e.message})`); }
+      const arrangement = parseArrangement(data, file);
+      if (getStyle(arrangement.id)) throw new Error(`${file}: id "${arrangement.id}" is already used by another arrangement`);
+      registerStyle(arrangement);
+    } catch (err) {
+      if (err.details) console.warn(`Arrangement ${file} problems:\n- ${err.details.join('\n- ')}`);
+      handleError(err, { userMessage: `Arrangement skipped — ${err.message}` });
+    }
+  }
+
+  if (!styleRegistry.size) registerStyle(parseArrangement(DEFAULT_ARRANGEMENT, 'built-in'));
+  loadCustomStyles();
+}
+
+/* --- Style picker --- */
+function renderStylePicker() {
+  const picker = $id('stylePicker');
+  if (!picker) return;
+  const auto = nowPlaying ? autoStyleFor(nowPlaying) : null;
+  const selected = (nowPlaying && getStyle(styleOverrides[nowPlaying.id])) ? styleOverrides[nowPlaying.id] : '';
+  picker.innerHTML = [
+    `<option value="">Auto${auto ? ` (${escapeHtml(auto.name)})` : ''}</option>`,
+    ...listStyles().map(st => `<option value="${escapeHtml(st.id)}">${escapeHtml(st.name)}</option>`)
+  ].join('');
+  picker.value = selected;
+  picker.disabled = !nowPlaying;
+}
+
+async function handleStylePick(styleId) {
+  if (!nowPlaying) return;
+  setStyleOverride(nowPlaying.id, styleId);
+  renderStylePicker();
+  renderKeyInfo(nowPlaying);
+  saveSession();
+  if (isPlaying || playRequest) {
+    await playProduction();
+  } else if (isPaused) {
+    stopPlay();
+  }
+}
+
+/* --- Playback --- */
+/* everything a production needs besides Tone nodes; shared by live playback and offline export */
+async function prepareProduction(bird, { signal = null } = {}) {
+  const audioUrl = audioUrlFor(bird);
+  const style = resolveStyleFor(bird);
+
+  let audioBuffer = null;
+  try { audioBuffer = await getAudioBuffer(bird.id, audioUrl, { signal }); } catch (e) {
+    if (isAbortError(e)) throw e;
+    forgetResolvedAudio(bird.fileName);
+    console.warn('Decoded audio unavailable, player will load the URL:', e);
+  }
+
+  if (audioBuffer && !bird.tempo) {
+    try { bird.tempo = detectTempo(audioBuffer); } catch (e) { console.warn('Tempo detection failed:', e); }
+    renderTempoInfo(bird);
+  }
+  if (audioBuffer && !bird.pitchProfile) {
+    try { bird.pitchProfile = pitchProfile(audioBuffer); } catch (e) { console.warn('Pitch profile failed:', e); }
+  }
+  const bpm = (bpmOverride && bpmOverride.birdId === bird.id)
+    ? bpmOverride.bpm
+    : clampTempo(tempoFor(bird), style.tempo);
+
+  const key = resolveKey(bird, style);
+  const rootMidi = 60 + key.tonic;
+  const scale = key.steps;
+
+  // unpitched fallback: assume the slice sits at C4 and move it up to the root's octave
+  const targetMidi = rootMidi + 12;
+  const sampleBaseMidi = 60;
+  let semitoneShift = targetMidi - sampleBaseMidi;
+  const snapped = snapToScale(semitoneShift, rootMidi, scale);
+  semitoneShift = snapped;
+
+  let candidates = [];
+  if (audioBuffer) {
+    try { candidates = analyzeHookSlicesCached(bird.id, audioBuffer, { sliceDur: style.hook.duration }); } catch (e) { console.warn('Hook analysis failed:', e); }
+  }
+  let slices;
+  if (candidates.length) {
+    slices = candidates.map(c => ({
+      time: c.time,
+      midi: c.midi,
+      semitone: c.midi === null ? semitoneShift : hookShiftFor(c.midi, rootMidi, scale)
+    }));
+  } else {
+    let sliceTime = 0.3;
+    try { sliceTime = await findBestSliceTime(audioUrl, 120, bird.id).catch(() => 0.3); } catch (e) { sliceTime = 0.3; }
+    slices = [{ time: sliceTime, midi: null, semitone: semitoneShift }];
+  }
+  let birdKit = null;
+  if (audioBuffer) {
+    try { birdKit = birdKitFor(bird.id, audioBuffer); } catch (e) { console.warn('Bird kit analysis failed:', e); }
+  }
+  throwIfAborted(signal);
+
+  return { bird, audioUrl, audioBuffer, style, bpm, key, take: nextTake(bird), birdKit, slices, sliceTime: slices[0].time, semitone: slices[0].semitone };
+}
+
+/*
+  Each call is a play request with its own AbortController. Starting a new one (or stopping)
+  aborts the previous request, whose scope is disposed on the spot; anything it was still
+  awaiting is raced against the signal. A request only touches activeTrack and starts the
+  Transport after its last await, so only the latest selection is ever heard.
+  Until the page has had a click or key press the audio context stays suspended, and a request
+  (the autoload's, say) waits in Tone.start() with `awaitingAudio` set. It isn't loading yet,
+  so Play doesn't cancel it: that press is the gesture it needs, and it starts the request over.
+*/
+let playRequest = null;   // { bird, controller, awaitingAudio } while a production is loading
+
+function cancelPlayRequest() {
+  if (!playRequest) return;
+  const { controller } = playRequest;
+  playRequest = null;
+  controller.abort();
+  setLoadingState(null);
+}
+
+async function playProduction() {
+  if (!nowPlaying) return;
+  if (!isPlayable(nowPlaying)) {
+    showBanner(`No audio file for ${nowPlaying.species} (${recordingRef(nowPlaying)})`, { type: 'error' });
+    return;
+  }
+  if (activeTrack) stopPlay();
+  else cancelPlayRequest();
+
+  const bird = nowPlaying;
+  const controller = new AbortController();
+  const { signal } = controller;
+  const request = playRequest = { bird, controller, awaitingAudio: Tone.context.state !== 'running' };
+  const scope = createScope(`track ${bird.id}`);
+  const drop = () => scope.dispose();
+  signal.addEventListener('abort', drop, { once: true });
+  setLoadingState(bird);
+
+  try {
+    await abortable(Tone.start(), signal);
+    if (request.awaitingAudio) {
+      request.awaitingAudio = false;
+      setLoadingState(bird);
+    }
+    try { Tone.Transport.stop(); Tone.Transport.cancel(); } catch (e) {}
+
+    await abortable(ensureCrusherWorklet(), signal);
+    const master = createMasterBus(scope);
+    const plan = await prepareProduction(bird, { signal });
+    const { audioUrl, audioBuffer, style, bpm, key, take, birdKit, sliceTime, semitone, slices } = plan;
+
+    const styleInstance = await abortable(buildStyle(style, { audioUrl, audioBuffer, sliceTime, semitone, slices, bpm, key, take, birdKit, master, scope }), signal);
+    throwIfAborted(signal);
+
+    // committed: from here on this request owns the Transport
+    signal.removeEventListener('abort', drop);
+    playRequest = null;
+    setLoadingState(null);
+    Tone.Transport.bpm.value = bpm;
+    applyMix(styleInstance, master, mixFor(style.id), 0);
+
+    activeTrack = { scope, master, styleInstance, styleId: style.id, plan };
+    renderKeyInfo(bird, key);
+    renderVariationPanel();
+    renderSequencer();
+    renderMixer();
+    updateDebugReadout();
+
+    if (Tone.Transport.state !== 'started') Tone.Transport.start();
+
+    setPlaybackState('playing');
+
+    const srStatus = $id('srStatus');
+    if (srStatus) srStatus.textContent = `Playing ${bird.species}, duration ${bird.length}`;
+
+    startVisualizer(activeTrack);
+    updateMediaSession(bird);
+    prefetchNeighbours(bird);
+    rememberPlayed(bird.id);
+    saveSession();
+    if (radio.on) { refillRadioQueue(); scheduleRadioAdvance(); }
+  } catch (err) {
+    if (isAbortError(err) || signal.aborted) return; // superseded; its scope is already gone
+    console.error('playProduction error', err);
+    handleError(err, { userMessage: 'Failed to play production. Check console.' });
+    if (playRequest === request) { playRequest = null; setLoadingState(null); }
+    scope.dispose();
+    if (activeTrack && activeTrack.scope === scope) stopPlay();
+  }
+}
+
+/* marks the channel being loaded (card, map pin and play button) until its request commits or is dropped */
+function setLoadingState(bird) {
+  document.querySelectorAll('.bird-card[data-id], .map-pin[data-id]').forEach(el => {
+    el.classList.toggle('loading', !!bird && el.getAttribute('data-id') === String(bird.id));
+  });
+  const playBtn = $id('playBtn');
+  if (bird && playRequest && playRequest.awaitingAudio) {
+    // nothing is loading until the audio context may start: offer Play, not Cancel
+    if (playBtn) {
+      playBtn.removeAttribute('aria-busy');
+      playBtn.textContent = '▶ Play';
+      playBtn.setAttribute('aria-label', `Play ${bird.species}`);
+    }
+  } else if (bird) {
+    if (playBtn) {
+      playBtn.setAttribute('aria-busy', 'true');
+      playBtn.textContent = '⏳ Loading…';
+      playBtn.setAttribute('aria-label', `Loading ${bird.species} — press to cancel`);
+    }
+    const srStatus = $id('srStatus');
+    if (srStatus) srStatus.textContent = `Loading ${bird.species}`;
+  } else if (playBtn && playBtn.getAttribute('aria-busy') === 'true') {
+    playBtn.removeAttribute('aria-busy');
+    setPlaybackState(isPlaying ? 'playing' : isPaused ? 'paused' : 'stopped');
+  }
+}
+
+/* stops a track's loops and frees every node in its scope; leaves the Transport alone */
+function disposeTrack(track) {
+  if (!track) return;
+  try {
+    if (track.styleInstance && track.styleInstance.stop) track.styleInstance.stop();
+    if (track.styleInstance && track.styleInstance.dispose) track.styleInstance.dispose();
+  } catch (e) { console.warn('Error stopping track', e); }
+  if (track.scope) track.scope.dispose();
+}
+
+function stopPlay() {
+  cancelPlayRequest();
+  stopVisualizer();
+  clearRadioEvents();
+  radioNext = null;
+  finishCrossfade();
+  if (activeTrack) {
+    disposeTrack(activeTrack);
     activeTrack = null;
   }
 
-  try { Tone.Transport.stop(); Tone.Transport.cancel(0); } catch (e) {}
-  isPlaying = false;
-  const playBtn = $id('playBtn');
-  if (playBtn) {
-    playBtn.textContent = '▶ Play';
-    playBtn.setAttribute('aria-pressed', 'false');
+  try { Tone.Transport.stop(); Tone.Transport.cancel(0); } catch (e) {}
+  setPlaybackState('stopped');
+  updateDebugReadout();
+  renderSequencer();
+
+  const srStatus = $id('srStatus');
+  if (srStatus) srStatus.textContent = 'Playback stopped';
+}
+
+/* free-running sources (vinyl, crackle, ambience) that the Transport doesn't pause for us */
+function trackSources(track) {
+  return [
+    ...(track.master ? track.master.sources : []),
+    ...((track.styleInstance && track.styleInstance.sources) || [])
+  ];
+}
+
+/* pause keeps every node and the Transport position; only free-running sources are halted */
+function pausePlay() {
+  if (!isPlaying || !activeTrack) return;
+  finishCrossfade();
+  try { Tone.Transport.pause(); } catch (e) {}
+  trackSources(activeTrack).forEach(s => { try { s.stop(); } catch (e) {} });
+  stopVisualizer();
+  setPlaybackState('paused');
+
+  const srStatus = $id('srStatus');
+  if (srStatus && nowPlaying) srStatus.textContent = `Paused ${nowPlaying.species}`;
+}
+
+function resumePlay() {
+  if (!isPaused || !activeTrack) return;
+  trackSources(activeTrack).forEach(s => { try { s.start(); } catch (e) {} });
+  try { Tone.Transport.start(); } catch (e) {}
+  setPlaybackState('playing');
+  startVisualizer(activeTrack);
+
+  const srStatus = $id('srStatus');
+  if (srStatus && nowPlaying) srStatus.textContent = `Resumed ${nowPlaying.species}`;
+}
+
+async function togglePlayPause() {
+  if (!nowPlaying) return;
+  if (playRequest && playRequest.awaitingAudio) await playProduction(); // see playRequest
+  else if (playRequest) stopPlay(); // pressing Play while loading cancels the load
+  else if (isPlaying) pausePlay();
+  else if (isPaused) resumePlay();
+  else await playProduction();
+}
+
+/* state is one of 'playing' | 'paused' | 'stopped'; the button's aria-label tells paused from stopped */
+function setPlaybackState(state) {
+  isPlaying = state === 'playing';
+  isPaused = state === 'paused';
+  renderRadioQueue();
+  setMediaSessionState(state);
+  const playBtn = $id('playBtn');
+  if (!playBtn) return;
+  playBtn.dataset.state = state;
+  playBtn.setAttribute('aria-pressed', isPlaying ? 'true' : 'false');
+  if (isPlaying) {
+    playBtn.textContent = '⏸ Pause';
+    playBtn.setAttribute('aria-label', 'Pause');
+  } else if (isPaused) {
+    playBtn.textContent = '▶ Resume';
+    playBtn.setAttribute('aria-label', 'Resume (paused)');
+  } else {
+    playBtn.textContent = '▶ Play';
+    playBtn.setAttribute('aria-label', 'Play');
+  }
+}
+
+/* --- Radio mode --- */
+/*
+  Auto-advance: each channel plays for `bars` bars, then the next one from the queue is built
+  on the same Transport and crossfaded in over `fadeBars` while the tempo ramps to its BPM.
+  Everything is scheduled as Transport events, so it follows Tone's worker clock in background
+  tabs, pauses with the Transport and is dropped by Transport.cancel(). The next channel is
+  prepared halfway through the current one so the crossfade starts on time.
+*/
+const RADIO_STORAGE_KEY = 'birdwave.radio';
+const RADIO_ORDERS = ['sequential', 'shuffle', 'weighted'];
+const RADIO_QUEUE_LENGTH = 5;
+const RADIO_HISTORY_MAX = 50;
+const QUALITY_WEIGHTS = { A: 5, B: 4, C: 3, D: 2, E: 1 };
+
+let radio = { on: false, bars: 32, fadeBars: 4, order: 'sequential', noRepeat: 4 };
+let radioQueue = [];      // upcoming channel ids, next first
+let radioHistory = [];    // played channel ids, current last
+let radioEvents = [];     // Transport event ids for the current channel
+let radioNext = null;     // { bird, plan: Promise } prepared for the next crossfade
+let shuffleBag = [];      // ids left in the current shuffle round
+let fadingTrack = null;   // outgoing track while a crossfade runs
+let fadeEvent = null;
+
+function loadRadioState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RADIO_STORAGE_KEY) || '{}');
+    if (typeof saved.on === 'boolean') radio.on = saved.on;
+    if ([16, 32, 64, 128].includes(saved.bars)) radio.bars = saved.bars;
+    if ([2, 4, 8].includes(saved.fadeBars)) radio.fadeBars = saved.fadeBars;
+    if (RADIO_ORDERS.includes(saved.order)) radio.order = saved.order;
+    if (Number.isInteger(saved.noRepeat) && saved.noRepeat >= 0 && saved.noRepeat <= 20) radio.noRepeat = saved.noRepeat;
+  } catch (e) {}
+}
+
+function saveRadioState() {
+  try { localStorage.setItem(RADIO_STORAGE_KEY, JSON.stringify(radio)); } catch (e) {}
+}
+
+function rememberPlayed(id) {
+  if (radioHistory[radioHistory.length - 1] !== id) radioHistory.push(id);
+  if (radioHistory.length > RADIO_HISTORY_MAX) radioHistory.shift();
+}
+
+/*
+  sequential: the next playable channel in list order after the last queued one.
+  shuffle:    a shuffled bag, so no repeats until every channel has had a turn.
+  weighted:   by recording quality (A..E), no repeats within `noRepeat` channels.
+*/
+function pickRadioChannel() {
+  const pool = filteredRecordings.filter(isPlayable);
+  if (!pool.length) return null;
+  const played = [...radioHistory, ...radioQueue];
+  const last = played[played.length - 1];
+  if (radio.order === 'sequential') {
+    const i = pool.findIndex(b => b.id === last);
+    return pool[(i + 1) % pool.length];
+  }
+  if (radio.order === 'shuffle') {
+    const ids = new Set(pool.map(b => b.id));
+    shuffleBag = shuffleBag.filter(id => ids.has(id));
+    if (!shuffleBag.length) {
+      shuffleBag = [...ids];
+      for (let i = shuffleBag.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffleBag[i], shuffleBag[j]] = [shuffleBag[j], shuffleBag[i]];
+      }
+      // don't open a new round with the channel that closed the last one
+      if (shuffleBag.length > 1 && shuffleBag[shuffleBag.length - 1] === last) shuffleBag.unshift(shuffleBag.pop());
+    }
+    const id = shuffleBag.pop();
+    return pool.find(b => b.id === id);
+  }
+  const window = Math.min(radio.noRepeat, pool.length - 1);
+  const recent = new Set(window > 0 ? played.slice(-window) : []);
+  const fresh = pool.filter(b => !recent.has(b.id));
+  const list = fresh.length ? fresh : pool;
+  const weight = b => QUALITY_WEIGHTS[b.quality] || 3;
+  let r = Math.random() * list.reduce((n, b) => n + weight(b), 0);
+  for (const b of list) {
+    r -= weight(b);
+    if (r < 0) return b;
+  }
+  return list[list.length - 1];
+}
+
+function refillRadioQueue() {
+  const playable = new Set(filteredRecordings.filter(isPlayable).map(b => b.id));
+  radioQueue = radioQueue.filter(id => playable.has(id));
+  while (radioQueue.length && nowPlaying && radioQueue[0] === nowPlaying.id) radioQueue.shift();
+  if (radioNext && radioNext.bird.id !== radioQueue[0]) radioNext = null;
+  while (radioQueue.length < RADIO_QUEUE_LENGTH) {
+    const bird = pickRadioChannel();
+    if (!bird) break;
+    radioQueue.push(bird.id);
+  }
+  renderRadioQueue();
+}
+
+function barsToTicks(bars) { return Math.round(bars * 4 * Tone.Transport.PPQ); }
+
+function clearRadioEvents() {
+  radioEvents.forEach(id => { try { Tone.Transport.clear(id); } catch (e) {} });
+  radioEvents = [];
+}
+
+/* (re)arm the prepare + crossfade events, counting `bars` from now */
+function scheduleRadioAdvance() {
+  clearRadioEvents();
+  if (!radio.on || !activeTrack) return;
+  const now = Tone.Transport.ticks;
+  const playBars = Math.max(1, radio.bars - radio.fadeBars);
+  radioEvents.push(Tone.Transport.scheduleOnce(() => prepareRadioNext(), `${now + barsToTicks(playBars / 2)}i`));
+  radioEvents.push(Tone.Transport.scheduleOnce(() => radioCrossfade(), `${now + barsToTicks(playBars)}i`));
+}
+
+function prepareRadioNext() {
+  if (!radioQueue.length) refillRadioQueue();
+  const bird = recordings.find(b => b.id === radioQueue[0]);
+  if (!bird) return null;
+  if (!radioNext || radioNext.bird !== bird) {
+    const plan = prepareProduction(bird);
+    plan.catch(() => {});
+    radioNext = { bird, plan };
+  }
+  return radioNext;
+}
+
+async function radioCrossfade() {
+  const outgoing = activeTrack;
+  if (!outgoing || !isPlaying || fadingTrack) return;
+  clearRadioEvents();
+  const next = prepareRadioNext();
+  if (!next) return;
+  radioQueue.shift();
+  radioNext = null;
+
+  let plan;
+  try { plan = await next.plan; } catch (err) {
+    handleError(err, { userMessage: `Radio skipped ${next.bird.species} — it could not be prepared` });
+    refillRadioQueue();
+    radioEvents.push(Tone.Transport.scheduleOnce(() => radioCrossfade(), '+1m'));
+    return;
+  }
+  if (activeTrack !== outgoing || !isPlaying) return; // stopped or switched while preparing
+
+  const { audioUrl, audioBuffer, style, bpm, key, take, birdKit, sliceTime, semitone, slices } = plan;
+  const scope = createScope(`track ${plan.bird.id}`);
+  const master = createMasterBus(scope);
+  setVolumeDb(master.output, MUTED_DB, 0);
+  let styleInstance;
+  try {
+    styleInstance = await buildStyle(style, { audioUrl, audioBuffer, sliceTime, semitone, slices, bpm, key, take, birdKit, master, scope });
+  } catch (err) {
+    handleError(err, { userMessage: `Radio skipped ${next.bird.species} — it could not be built` });
+    scope.dispose();
+    refillRadioQueue();
+    scheduleRadioAdvance();
+    return;
+  }
+  if (activeTrack !== outgoing || !isPlaying) { disposeTrack({ styleInstance, scope }); return; }
+
+  const mix = mixFor(style.id);
+  applyMix(styleInstance, master, { ...mix, master: MUTED_DB }, 0);
+  const fromBpm = Tone.Transport.bpm.value;
+  const fadeSeconds = radio.fadeBars * 4 * 60 / ((fromBpm + bpm) / 2);
+  setVolumeDb(outgoing.master.output, MUTED_DB, fadeSeconds);
+  setVolumeDb(master.output, mix.master, fadeSeconds);
+  Tone.Transport.bpm.rampTo(bpm, fadeSeconds);
+
+  fadingTrack = outgoing;
+  fadeEvent = Tone.Transport.scheduleOnce(() => finishCrossfade(), `${Tone.Transport.ticks + barsToTicks(radio.fadeBars)}i`);
+  activeTrack = { scope, styleInstance, master, styleId: style.id, plan };
+  nowPlaying = plan.bird;
+  rememberPlayed(nowPlaying.id);
+  saveSession();
+
+  renderSpeciesInfo(nowPlaying);
+  renderKeyInfo(nowPlaying, plan.key);
+  renderVariationPanel();
+  renderSequencer();
+  markCardActive(nowPlaying.id);
+  setVideo(getBirdVideoIndex(nowPlaying.id));
+  renderStylePicker();
+  renderMixer();
+  startVisualizer(activeTrack);
+  updateMediaSession(nowPlaying);
+  prefetchNeighbours(nowPlaying);
+  const srStatus = $id('srStatus');
+  if (srStatus) srStatus.textContent = `Radio: now playing ${nowPlaying.species}`;
+
+  refillRadioQueue();
+  scheduleRadioAdvance();
+}
+
+/* drop the outgoing track; called when the fade ends, or early on pause/stop */
+function finishCrossfade() {
+  if (fadeEvent !== null) { try { Tone.Transport.clear(fadeEvent); } catch (e) {} fadeEvent = null; }
+  if (!fadingTrack) return;
+  const track = fadingTrack;
+  fadingTrack = null;
+  disposeTrack(track);
+  if (activeTrack) {
+    try { Tone.Transport.bpm.cancelScheduledValues(0); Tone.Transport.bpm.value = activeTrack.plan.bpm; } catch (e) {}
+    setVolumeDb(activeTrack.master.output, mixFor(activeTrack.styleId).master, 0);
+  }
+}
+
+function setRadio(changes) {
+  Object.assign(radio, changes);
+  saveRadioState();
+  if (radio.on) {
+    // Tone's worker clock keeps Transport events firing in background tabs
+    try { if (Tone.context.clockSource !== 'worker') Tone.context.clockSource = 'worker'; } catch (e) {}
+    refillRadioQueue();
+    if (isPlaying) scheduleRadioAdvance();
+  } else {
+    clearRadioEvents();
+    radioNext = null;
+  }
+  renderRadioPanel();
+}
+
+function renderRadioPanel() {
+  const btn = $id('radioBtn');
+  if (btn) {
+    btn.textContent = radio.on ? '📻 Radio · on' : '📻 Radio';
+    btn.classList.toggle('on', radio.on);
   }
+  const form = $id('radioForm');
+  if (form) {
+    form.elements.radioOn.checked = radio.on;
+    form.elements.radioBars.value = String(radio.bars);
+    form.elements.radioFade.value = String(radio.fadeBars);
+    form.elements.radioOrder.value = radio.order;
+    form.elements.radioNoRepeat.value = String(radio.noRepeat);
+    form.elements.radioNoRepeat.disabled = radio.order !== 'weighted';
+  }
+  renderRadioQueue();
+}
 
-  const srStatus = $id('srStatus');
-  if (srStatus) srStatus.textContent = 'Playback stopped';
+function renderRadioQueue() {
+  const list = $id('radioQueue');
+  if (!list) return;
+  const skip = $id('radioSkipBtn');
+  if (skip) skip.disabled = !radio.on || !isPlaying || !radioQueue.length;
+  if (!radio.on) { list.innerHTML = '<li class="radio-queue-empty">Turn on auto-advance to build a queue</li>'; return; }
+  if (!radioQueue.length) { list.innerHTML = '<li class="radio-queue-empty">No playable channels match the filters</li>'; return; }
+  list.innerHTML = radioQueue.map((id, i) => {
+    const bird = recordings.find(b => b.id === id);
+    return `
+      <li class="radio-queue-item">
+        <span class="radio-queue-name">${escapeHtml(bird ? bird.species : id)}</span>
+        <button type="button" class="user-action" data-index="${i}" aria-label="Remove ${escapeHtml(bird ? bird.species : id)} from the queue">✕</button>
+      </li>`;
+  }).join('');
+}
 
-  stopWaveformAnimation();
+function wireRadioPanel() {
+  wirePopoverToggle('radioBtn', 'radioPanel');
+  const form = $id('radioForm');
+  if (form) {
+    form.addEventListener('change', () => setRadio({
+      on: form.elements.radioOn.checked,
+      bars: Number(form.elements.radioBars.value),
+      fadeBars: Number(form.elements.radioFade.value),
+      order: form.elements.radioOrder.value,
+      noRepeat: Math.max(0, Math.min(20, parseInt(form.elements.radioNoRepeat.value, 10) || 0))
+    }));
+    form.addEventListener('submit', (e) => e.preventDefault());
+  }
+  const list = $id('radioQueue');
+  if (list) list.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-index]');
+    if (!btn) return;
+    radioQueue.splice(Number(btn.dataset.index), 1);
+    refillRadioQueue();
+  });
+  const skip = $id('radioSkipBtn');
+  if (skip) skip.addEventListener('click', () => radioCrossfade());
+  document.addEventListener('visibilitychange', () => {
+    // UI updates made while hidden are cheap to redo; the audio side never depended on them
+    if (document.visibilityState === 'visible' && nowPlaying) { renderSpeciesInfo(nowPlaying); markCardActive(nowPlaying.id); renderRadioQueue(); }
+  });
 }
 
-/* --- Waveform animation (optional) --- */
-function startWaveformAnimation() {
+/* --- Audio-reactive visualizer --- */
+/*
+  Taps the master bus output (or only the bird hook) with two analysers and draws
+  either an oscilloscope or an FFT spectrum. Everything is torn down in stopVisualizer().
+*/
+function startVisualizer(track) {
+  stopVisualizer();
   const canvas = $id('waveformCanvas');
-  if (!canvas) return;
+  if (!canvas || !track || !track.master) return;
+
+  const scope = createScope('visualizer');
+  const wave = scope.own(new Tone.Analyser('waveform', 1024));
+  const fft = scope.own(new Tone.Analyser('fft', 512));
+  const taps = {
+    mix: track.master.output, // after the master fader, so the scope follows its level and mute
+    hook: track.styleInstance ? track.styleInstance.hookOutput : null
+  };
+  visualizer = { canvas, scope, wave, fft, taps, tap: null, raf: null };
+  setVisualizerSource(visualizerSource);
+
   canvas.width = canvas.clientWidth * devicePixelRatio;
   canvas.height = canvas.clientHeight * devicePixelRatio;
   const ctx = canvas.getContext('2d');
 
   function draw() {
-    if (!isPlaying) { _waveRaf = null; return; }
+    if (!visualizer || visualizer.canvas !== canvas) return;
     const w = canvas.width, h = canvas.height;
     ctx.clearRect(0,0,w,h);
-    ctx.lineWidth = 2 * devicePixelRatio;
-    ctx.strokeStyle = 'rgba(255, 0, 153, 0.85)';
-    const amp = 0.6 + Math.random() * 0.3;
-    ctx.beginPath();
-    const steps = 100;
-    for (let i = 0; i < steps; i++) {
-      const px = (i / (steps - 1)) * w;
-      const rnd = Math.sin((i + Date.now() / 80) / 4) * amp * (0.5 + Math.random() * 0.5);
-      const py = (0.5 + rnd) * h;
-      if (i === 0) ctx.moveTo(px, py);
-      else ctx.lineTo(px, py);
+    if (visualizerView === 'spectrum') drawSpectrum(ctx, fft.getValue(), w, h);
+    else drawScope(ctx, wave.getValue(), w, h);
+    visualizer.raf = requestAnimationFrame(draw);
+  }
+  draw();
+}
+
+function drawScope(ctx, values, w, h) {
+  ctx.lineWidth = 2 * devicePixelRatio;
+  ctx.strokeStyle = 'rgba(255, 0, 153, 0.85)';
+  ctx.beginPath();
+  for (let i = 0; i < values.length; i++) {
+    const px = (i / (values.length - 1)) * w;
+    const py = (0.5 - Math.max(-1, Math.min(1, values[i])) * 0.5) * h;
+    if (i === 0) ctx.moveTo(px, py);
+    else ctx.lineTo(px, py);
+  }
+  ctx.stroke();
+  ctx.lineWidth = 6 * devicePixelRatio;
+  ctx.strokeStyle = 'rgba(255, 0, 153, 0.08)';
+  ctx.stroke();
+}
+
+/* log-spaced bars so the low end isn't squashed into a few pixels */
+function drawSpectrum(ctx, dbValues, w, h, bars = 64) {
+  const bins = dbValues.length;
+  const barW = w / bars;
+  ctx.fillStyle = 'rgba(255, 0, 153, 0.75)';
+  for (let b = 0; b < bars; b++) {
+    const lo = Math.floor(Math.pow(bins, b / bars));
+    const hi = Math.max(lo + 1, Math.floor(Math.pow(bins, (b + 1) / bars)));
+    let peak = -Infinity;
+    for (let i = lo; i < Math.min(hi, bins); i++) if (dbValues[i] > peak) peak = dbValues[i];
+    const level = Math.max(0, Math.min(1, (peak + 100) / 100));
+    const bh = level * h;
+    ctx.fillRect(b * barW + 1, h - bh, Math.max(1, barW - 2), bh);
+  }
+}
+
+function setVisualizerSource(source) {
+  visualizerSource = source === 'hook' ? 'hook' : 'mix';
+  updateVisualizerControls();
+  if (!visualizer) return;
+  const next = visualizer.taps[visualizerSource] || visualizer.taps.mix;
+  if (visualizer.tap === next) return;
+  if (visualizer.tap) {
+    try { visualizer.tap.disconnect(visualizer.wave); } catch (e) {}
+    try { visualizer.tap.disconnect(visualizer.fft); } catch (e) {}
+  }
+  next.connect(visualizer.wave);
+  next.connect(visualizer.fft);
+  visualizer.tap = next;
+}
+
+function setVisualizerView(view) {
+  visualizerView = view === 'spectrum' ? 'spectrum' : 'scope';
+  updateVisualizerControls();
+}
+
+function updateVisualizerControls() {
+  const viewBtn = $id('visViewBtn');
+  if (viewBtn) viewBtn.textContent = visualizerView === 'spectrum' ? 'Spectrum' : 'Scope';
+  const sourceBtn = $id('visSourceBtn');
+  if (sourceBtn) {
+    sourceBtn.textContent = visualizerSource === 'hook' ? 'Hook only' : 'Full mix';
+    sourceBtn.setAttribute('aria-pressed', visualizerSource === 'hook' ? 'true' : 'false');
+  }
+}
+
+function stopVisualizer() {
+  if (!visualizer) return;
+  const { canvas, scope, wave, fft, tap, raf } = visualizer;
+  visualizer = null;
+  if (raf) cancelAnimationFrame(raf);
+  if (tap) {
+    try { tap.disconnect(wave); } catch (e) {}
+    try { tap.disconnect(fft); } catch (e) {}
+  }
+  scope.dispose();
+  try { canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height); } catch (e) {}
+}
+
+/* --- Mixer --- */
+/*
+  Faders are dB offsets on top of the arrangement's own instrument volumes, so 0 dB
+  means "as written". Levels are stored per style and pushed into the running track
+  with short ramps; nothing is rebuilt. A mix opened from a shared link plays for this
+  session only: the listener's own levels stay saved until they move a fader themselves.
+*/
+const MIXER_STORAGE_KEY = 'birdwave.mixer';
+const MIXER_PARTS = [
+  { key: 'drums', label: 'Drums' },
+  { key: 'bass', label: 'Bass' },
+  { key: 'pad', label: 'Pad' },
+  { key: 'lead', label: 'Lead' },
+  { key: 'hook', label: 'Bird' },
+  { key: 'ambience', label: 'Ambience' },
+  { key: 'vinyl', label: 'Vinyl' }
+];
+const MIXER_MIN_DB = -40;
+const MIXER_MAX_DB = 6;
+const MUTED_DB = -80;
+let mixerState = {};
+let linkedMixes = {};   // styleId -> the listener's saved mix (or null) that a link's mix replaced
+
+function defaultMix() {
+  const parts = {};
+  MIXER_PARTS.forEach(({ key }) => { parts[key] = { volume: 0, mute: false, solo: false }; });
+  return { master: 0, parts };
+}
+function mixFor(styleId) {
+  const base = defaultMix();
+  const saved = mixerState[styleId];
+  if (!saved) { mixerState[styleId] = base; return base; }
+  MIXER_PARTS.forEach(({ key }) => { base.parts[key] = { ...base.parts[key], ...(saved.parts && saved.parts[key]) }; });
+  base.master = typeof saved.master === 'number' ? saved.master : 0;
+  mixerState[styleId] = base;
+  return base;
+}
+function loadMixerState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MIXER_STORAGE_KEY) || '{}');
+    mixerState = (saved && typeof saved === 'object') ? saved : {};
+  } catch (e) { mixerState = {}; }
+}
+function saveMixerState() {
+  const saved = { ...mixerState };
+  Object.entries(linkedMixes).forEach(([styleId, own]) => {
+    if (own) saved[styleId] = own;
+    else delete saved[styleId];
+  });
+  try { localStorage.setItem(MIXER_STORAGE_KEY, JSON.stringify(saved)); } catch (e) {}
+}
+/* the listener touched a linked mix, so from now on it is theirs */
+function adoptLinkedMix(styleId) { delete linkedMixes[styleId]; }
+
+function partLevelDb(mix, key) {
+  const part = mix.parts[key];
+  const anySolo = MIXER_PARTS.some(p => mix.parts[p.key].solo);
+  if (part.mute || (anySolo && !part.solo)) return MUTED_DB;
+  return part.volume;
+}
+function setVolumeDb(node, db, ramp) {
+  if (!node || !node.volume) return;
+  if (ramp > 0) node.volume.rampTo(db, ramp);
+  else node.volume.value = db;
+}
+function applyMix(styleInstance, master, mix, ramp = 0.05) {
+  const nodes = { ...((styleInstance && styleInstance.parts) || {}), vinyl: master && master.vinylVolume };
+  MIXER_PARTS.forEach(({ key }) => setVolumeDb(nodes[key], partLevelDb(mix, key), ramp));
+  if (master) setVolumeDb(master.output, mix.master, ramp);
+}
+
+function currentMixStyleId() {
+  if (activeTrack && activeTrack.styleId) return activeTrack.styleId;
+  return nowPlaying ? resolveStyleFor(nowPlaying).id : null;
+}
+function updateMix(change) {
+  const styleId = currentMixStyleId();
+  if (!styleId) return;
+  const mix = mixFor(styleId);
+  change(mix);
+  adoptLinkedMix(styleId);
+  saveMixerState();
+  saveSession();
+  if (activeTrack && activeTrack.styleId === styleId) applyMix(activeTrack.styleInstance, activeTrack.master, mix);
+  renderMixer();
+}
+
+function renderMixer() {
+  const body = $id('mixerBody');
+  if (!body) return;
+  const styleId = currentMixStyleId();
+  const title = $id('mixerTitle');
+  const style = styleId && getStyle(styleId);
+  if (title) title.textContent = style ? `Mix · ${style.name}` : 'Mix';
+  if (!styleId) { body.innerHTML = '<div class="mixer-empty">Pick a channel first</div>'; return; }
+
+  const mix = mixFor(styleId);
+  const fader = (key, label, db) => `
+      <input type="range" class="mixer-fader" data-part="${key}" min="${MIXER_MIN_DB}" max="${MIXER_MAX_DB}" step="0.5" value="${db}" aria-label="${label} volume" />
+      <span class="mixer-db">${db > 0 ? '+' : ''}${db.toFixed(1)}</span>`;
+  body.innerHTML = MIXER_PARTS.map(({ key, label }) => {
+    const p = mix.parts[key];
+    return `
+    <div class="mixer-row">
+      <span class="mixer-label">${label}</span>
+      ${fader(key, label, p.volume)}
+      <button type="button" class="mixer-toggle ${p.mute ? 'on' : ''}" data-part="${key}" data-toggle="mute" aria-pressed="${p.mute}" aria-label="Mute ${label}">M</button>
+      <button type="button" class="mixer-toggle ${p.solo ? 'on' : ''}" data-part="${key}" data-toggle="solo" aria-pressed="${p.solo}" aria-label="Solo ${label}">S</button>
+    </div>`;
+  }).join('') + `
+    <div class="mixer-row master">
+      <span class="mixer-label">Master</span>
+      ${fader('master', 'Master', mix.master)}
+      <button type="button" class="mixer-reset" id="mixerResetBtn">Reset</button>
+    </div>`;
+}
+
+function wireMixerPanel() {
+  wirePopoverToggle('mixerBtn', 'mixerPanel');
+  const body = $id('mixerBody');
+  if (!body) return;
+  body.addEventListener('input', (e) => {
+    const fader = e.target.closest('.mixer-fader');
+    if (!fader) return;
+    const db = Math.max(MIXER_MIN_DB, Math.min(MIXER_MAX_DB, Number(fader.value)));
+    const key = fader.dataset.part;
+    const readout = fader.nextElementSibling;
+    if (readout) readout.textContent = `${db > 0 ? '+' : ''}${db.toFixed(1)}`;
+    const styleId = currentMixStyleId();
+    if (!styleId) return;
+    const mix = mixFor(styleId);
+    if (key === 'master') mix.master = db;
+    else mix.parts[key].volume = db;
+    adoptLinkedMix(styleId);
+    saveMixerState();
+    if (activeTrack && activeTrack.styleId === styleId) applyMix(activeTrack.styleInstance, activeTrack.master, mix);
+  });
+  body.addEventListener('click', (e) => {
+    if (e.target.closest('#mixerResetBtn')) {
+      updateMix(mix => { const d = defaultMix(); mix.master = d.master; mix.parts = d.parts; });
+      return;
     }
-    ctx.stroke();
-    ctx.lineWidth = 6 * devicePixelRatio;
-    ctx.strokeStyle = 'rgba(255, 0, 153, 0.08)';
-    ctx.stroke();
-    _waveRaf = requestAnimationFrame(draw);
+    const btn = e.target.closest('.mixer-toggle');
+    if (!btn) return;
+    updateMix(mix => { const part = mix.parts[btn.dataset.part]; part[btn.dataset.toggle] = !part[btn.dataset.toggle]; });
+  });
+}
+
+/* --- Step sequencer --- */
+/*
+  Edits the running track's written arrangement (buildStyle() gives every track a private copy
+  of the pattern map). With a take, the song playing is generated from it, so after each edit
+  playSong() generates it again with the same seed and every section made from the edited
+  pattern changes. The loops look their pattern up on every step, so swapping in a new pattern
+  object is heard on the next 16th. Patterns and the hook settings are replaced, never mutated,
+  so an undo snapshot is a shallow copy of the map plus the hook and its slices.
+  "Save as style" writes the written arrangement out in the arrangements/ file format; custom
+  styles live in localStorage and join the style picker, but not the automatic rotation.
+*/
+const CUSTOM_STYLES_KEY = 'birdwave.customStyles';
+const SEQ_HISTORY_MAX = 100;
+const SEQ_ROWS = [
+  { voice: 'kick', label: 'Kick' },
+  { voice: 'snare', label: 'Snare' },
+  { voice: 'hat', label: 'Hat' },
+  { voice: 'hook', label: 'Bird' }
+];
+
+let sequencer = { track: null, pattern: null, undo: [], redo: [] };
+let customStyles = [];   // arrangement JSON, as saved
+
+function loadCustomStyles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_STYLES_KEY) || '[]');
+    customStyles = Array.isArray(saved) ? saved : [];
+  } catch (e) { customStyles = []; }
+  customStyles.forEach(data => {
+    try { registerStyle({ ...parseArrangement(data, `custom style ${data && data.name}`), custom: true }); }
+    catch (err) { console.warn('Custom style skipped:', err); }
+  });
+}
+function saveCustomStyles() {
+  try { localStorage.setItem(CUSTOM_STYLES_KEY, JSON.stringify(customStyles)); } catch (e) {}
+}
+
+/* normalized arrangement -> the JSON file format; only patterns the sections use are kept */
+function arrangementToJson(arrangement, id, name) {
+  const used = [...new Set(arrangement.sections.map(sec => sec.pattern))];
+  const patterns = {};
+  used.forEach(patternName => {
+    const pat = arrangement.patterns[patternName];
+    patterns[patternName] = {
+      steps: pat.steps,
+      drums: { kick: pat.drums.kick, snare: pat.drums.snare, hat: pat.drums.hat },
+      ...(pat.bass.length ? { bass: pat.bass } : {}), // no bass is written by leaving it out
+      chords: pat.chords,
+      melody: pat.melody
+    };
+  });
+  return {
+    format: ARRANGEMENT_FORMAT,
+    version: 1,
+    id,
+    name,
+    tempo: arrangement.tempo,
+    key: { tonic: NOTE_NAMES[arrangement.key.tonic], scale: arrangement.key.scale },
+    instruments: arrangement.instruments,
+    patterns,
+    sections: arrangement.sections.map(({ name: secName, pattern, bars, parts }) => (parts ? { name: secName, pattern, bars, parts } : { name: secName, pattern, bars })),
+    hook: { steps: arrangement.hook.steps, duration: arrangement.hook.duration, volume: arrangement.hook.volume }
+  };
+}
+
+function saveCustomStyle(name) {
+  const track = syncSequencerTrack();
+  const title = String(name || '').trim();
+  if (!track) return;
+  if (!title) { showBanner('Give the style a name first', { timeout: 4000 }); return; }
+  const id = `custom-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'style'}`;
+  const existing = getStyle(id);
+  if (existing && !existing.custom) { showBanner(`"${title}" clashes with a built-in style — pick another name`); return; }
+  const data = arrangementToJson(track.styleInstance.written, id, title);
+  try { registerStyle({ ...parseArrangement(data, title), custom: true }); }
+  catch (err) { handleError(err, { userMessage: `Could not save the style: ${err.message}` }); return; }
+  customStyles = [...customStyles.filter(s => s.id !== id), data];
+  saveCustomStyles();
+  renderStylePicker();
+  showBanner(`Saved "${title}" — pick it from the style menu`, { type: 'info', timeout: 4000 });
+}
+
+function sequencerTrack() {
+  return activeTrack && activeTrack.styleInstance && activeTrack.styleInstance.written ? activeTrack : null;
+}
+
+/* the written pattern behind the section playing now */
+function playingPatternName(track) {
+  try {
+    const { section } = sectionAtBar(track.styleInstance.arrangement, barAtTime(Tone.now()));
+    return section.source || section.pattern;
+  } catch (e) { return track.styleInstance.written.sections[0].pattern; }
+}
+
+/* brings the song the loops play in line with the written arrangement after an edit */
+function playSong(track) {
+  const { arrangement, written } = track.styleInstance;
+  const take = track.plan.take;
+  if (take && arrangement !== written) Object.assign(arrangement, generateVariation(written, take));
+}
+
+/* history belongs to one track; a new track starts a fresh one */
+function syncSequencerTrack() {
+  const track = sequencerTrack();
+  if (sequencer.track !== track) sequencer = { track, pattern: track ? playingPatternName(track) : null, undo: [], redo: [] };
+  return track;
+}
+
+function sequencerSnapshot(track) {
+  const written = track.styleInstance.written;
+  return { patterns: { ...written.patterns }, hook: written.hook, slices: track.plan.slices.map(s => ({ ...s })) };
+}
+function restoreSequencerSnapshot(track, snapshot) {
+  const written = track.styleInstance.written;
+  written.patterns = { ...snapshot.patterns };
+  written.hook = snapshot.hook;
+  track.plan.slices.forEach((s, i) => Object.assign(s, snapshot.slices[i]));
+  track.styleInstance.setHookDuration(snapshot.hook.duration);
+  playSong(track);
+}
+
+function editSequencer(apply) {
+  const track = syncSequencerTrack();
+  if (!track) return;
+  sequencer.undo.push(sequencerSnapshot(track));
+  if (sequencer.undo.length > SEQ_HISTORY_MAX) sequencer.undo.shift();
+  sequencer.redo = [];
+  apply(track.styleInstance.written, track);
+  playSong(track);
+  renderSequencer();
+}
+
+function stepSequencerHistory(from, to) {
+  const track = syncSequencerTrack();
+  if (!track || !from.length) return;
+  to.push(sequencerSnapshot(track));
+  restoreSequencerSnapshot(track, from.pop());
+  renderSequencer();
+}
+function undoSequencer() { stepSequencerHistory(sequencer.undo, sequencer.redo); }
+function redoSequencer() { stepSequencerHistory(sequencer.redo, sequencer.undo); }
+
+function toggleSequencerStep(voice, step) {
+  const toggled = (list) => (list.includes(step) ? list.filter(s => s !== step) : [...list, step].sort((a, b) => a - b));
+  editSequencer(arrangement => {
+    if (voice === 'hook') { arrangement.hook = { ...arrangement.hook, steps: toggled(arrangement.hook.steps) }; return; }
+    const pat = arrangement.patterns[sequencer.pattern];
+    arrangement.patterns[sequencer.pattern] = { ...pat, drums: { ...pat.drums, [voice]: toggled(pat.drums[voice]) } };
+  });
+}
+
+function setSequencerNote(part, index, value) {
+  editSequencer(arrangement => {
+    const pat = arrangement.patterns[sequencer.pattern];
+    arrangement.patterns[sequencer.pattern] = { ...pat, [part]: pat[part].map((v, i) => (i === index ? value : v)) };
+  });
+}
+
+function setSequencerHook(changes, sliceIndex = null) {
+  editSequencer((arrangement, track) => {
+    if (sliceIndex !== null) { Object.assign(track.plan.slices[sliceIndex], changes); return; }
+    arrangement.hook = { ...arrangement.hook, ...changes };
+    track.styleInstance.setHookDuration(arrangement.hook.duration);
+  });
+}
+
+/* MIDI notes of the key's scale between lo and hi */
+function scaleNotes(key, lo, hi) {
+  const steps = SCALES[key.scale].steps;
+  const notes = [];
+  for (let m = lo; m <= hi; m++) if (steps.includes(((m - key.tonic) % 12 + 12) % 12)) notes.push(m);
+  return notes;
+}
+
+/* a chord on each scale degree, stacked in scale thirds from A3..G#4 */
+function scaleChords(key) {
+  return SCALES[key.scale].steps.map(step => {
+    const root = 57 + (((key.tonic + step - 57) % 12) + 12) % 12;
+    return [root, stepInScale(root, key, 2), stepInScale(root, key, 4)].map(midiToNote);
+  });
+}
+function chordLabel(chord) {
+  const [root, third, fifth] = chord.map(noteToMidi);
+  const quality = fifth - root === 6 ? '°' : fifth - root === 8 ? '+' : third - root === 3 ? 'm' : '';
+  return `${NOTE_NAMES[root % 12]}${quality}`;
+}
+
+function renderSequencer() {
+  const body = $id('sequencerBody');
+  if (!body) return;
+  const track = syncSequencerTrack();
+  if (!track) { body.innerHTML = '<div class="mixer-empty">Play a channel to edit its patterns</div>'; return; }
+  // re-rendering replaces every control, so remember which one had focus
+  const active = body.contains(document.activeElement) ? document.activeElement : null;
+  const refocus = active && (active.id ? `#${active.id}` : ['voice', 'step', 'bass', 'chord', 'slice', 'field']
+    .filter(k => active.dataset[k] !== undefined)
+    .map(k => `[data-${k}="${active.dataset[k]}"]`).join(''));
+  const arrangement = track.styleInstance.written;
+  if (!arrangement.patterns[sequencer.pattern]) sequencer.pattern = playingPatternName(track);
+  const pat = arrangement.patterns[sequencer.pattern];
+  const key = arrangement.key;
+
+  const patternOptions = [...new Set(arrangement.sections.map(sec => sec.pattern))].map(name => {
+    const uses = [...new Set(arrangement.sections.filter(sec => sec.pattern === name).map(sec => sec.name))].join(', ');
+    return `<option value="${escapeHtml(name)}">${escapeHtml(uses && uses !== name ? `${name} · ${uses}` : name)}</option>`;
+  }).join('');
+
+  const stepRows = SEQ_ROWS.map(({ voice, label }) => {
+    const hits = voice === 'hook' ? arrangement.hook.steps : pat.drums[voice];
+    const cells = Array.from({ length: pat.steps }, (_, s) => {
+      const on = hits.includes(s);
+      return `<button type="button" class="seq-step${on ? ' on' : ''}${s % 4 === 0 ? ' beat' : ''}" data-voice="${voice}" data-step="${s}" aria-pressed="${on}" aria-label="${label} step ${s + 1}"></button>`;
+    }).join('');
+    return `<div class="seq-row" style="--steps:${pat.steps}"><span class="mixer-label">${label}</span>${cells}</div>`;
+  }).join('');
+
+  const noteSelect = (value, options, attrs) => {
+    const list = options.includes(value) ? options : [value, ...options];
+    return `<select class="seq-note" ${attrs}>${list.map(n => `<option${n === value ? ' selected' : ''}>${n}</option>`).join('')}</select>`;
+  };
+  const bassNotes = scaleNotes(key, 24, 50).map(midiToNote);
+  const bassRow = pat.bass.length
+    ? `<div class="seq-row seq-notes" style="--steps:${pat.bass.length}"><span class="mixer-label">Bass</span>${pat.bass.map((n, i) => noteSelect(n, bassNotes, `data-bass="${i}" aria-label="Bass note ${i + 1}"`)).join('')}</div>`
+    : '';
+  const chords = scaleChords(key);
+  const chordRow = `<div class="seq-row seq-notes" style="--steps:${pat.chords.length}"><span class="mixer-label">Chords</span>${pat.chords.map((chord, i) => {
+    const match = chords.findIndex(c => c.join() === chord.join());
+    const options = chords.map((c, d) => `<option value="${d}"${d === match ? ' selected' : ''}>${chordLabel(c)}</option>`).join('');
+    const current = match === -1 ? `<option value="" selected disabled>${escapeHtml(chord.join(' '))}</option>` : '';
+    return `<select class="seq-note" data-chord="${i}" aria-label="Chord ${i + 1}">${current}${options}</select>`;
+  }).join('')}</div>`;
+
+  const maxTime = track.plan.audioBuffer ? Math.max(0, track.plan.audioBuffer.duration - arrangement.hook.duration) : 600;
+  const sliceRows = track.plan.slices.map((slice, i) => `
+    <div class="seq-slice">
+      <span class="mixer-label">Slice ${i + 1}</span>
+      <label>at <input type="number" data-slice="${i}" data-field="time" min="0" max="${maxTime.toFixed(2)}" step="0.01" value="${slice.time.toFixed(2)}" /> s</label>
+      <label>pitch <input type="number" data-slice="${i}" data-field="semitone" min="-24" max="24" step="1" value="${Math.round(slice.semitone)}" /> st</label>
+    </div>`).join('');
+
+  body.innerHTML = `
+    <div class="seq-toolbar">
+      <select id="seqPattern" class="control-select" aria-label="Pattern">${patternOptions}</select>
+      <button type="button" class="user-action" id="seqUndoBtn"${sequencer.undo.length ? '' : ' disabled'} title="Undo (Ctrl+Z)">↶ Undo</button>
+      <button type="button" class="user-action" id="seqRedoBtn"${sequencer.redo.length ? '' : ' disabled'} title="Redo (Ctrl+Shift+Z)">↷ Redo</button>
+    </div>
+    ${stepRows}${bassRow}${chordRow}
+    <div class="seq-hook">
+      <label class="seq-slice"><span class="mixer-label">Slice length</span>
+        <input type="number" data-field="duration" min="0.02" max="0.5" step="0.01" value="${arrangement.hook.duration.toFixed(2)}" /> s</label>
+      ${sliceRows}
+    </div>
+    <form class="seq-save" id="seqSaveForm">
+      <input type="text" name="styleName" maxlength="40" placeholder="Style name" aria-label="Style name" />
+      <button type="submit" class="control-btn">Save as style</button>
+    </form>`;
+  $id('seqPattern').value = sequencer.pattern;
+  const again = refocus && body.querySelector(refocus);
+  if (again) again.focus();
+}
+
+function wireSequencerPanel() {
+  wirePopoverToggle('sequencerBtn', 'sequencerPanel');
+  const toggle = $id('sequencerBtn');
+  const panel = $id('sequencerPanel');
+  const body = $id('sequencerBody');
+  if (!panel || !body) return;
+  if (toggle) toggle.addEventListener('click', () => { if (!panel.classList.contains('hidden')) renderSequencer(); });
+  body.addEventListener('click', (e) => {
+    const step = e.target.closest('[data-step]');
+    if (step) toggleSequencerStep(step.dataset.voice, Number(step.dataset.step));
+    else if (e.target.id === 'seqUndoBtn') undoSequencer();
+    else if (e.target.id === 'seqRedoBtn') redoSequencer();
+  });
+  body.addEventListener('change', (e) => {
+    const el = e.target;
+    if (el.id === 'seqPattern') { sequencer.pattern = el.value; renderSequencer(); }
+    else if (el.dataset.bass !== undefined) setSequencerNote('bass', Number(el.dataset.bass), el.value);
+    else if (el.dataset.chord !== undefined) {
+      const track = syncSequencerTrack();
+      if (track) setSequencerNote('chords', Number(el.dataset.chord), scaleChords(track.styleInstance.written.key)[Number(el.value)]);
+    } else if (el.dataset.field) {
+      const value = Number(el.value);
+      const min = Number(el.min), max = Number(el.max);
+      if (!isFinite(value) || value < min || value > max) { renderSequencer(); return; }
+      if (el.dataset.slice !== undefined) setSequencerHook({ [el.dataset.field]: value }, Number(el.dataset.slice));
+      else setSequencerHook({ [el.dataset.field]: value });
+    }
+  });
+  body.addEventListener('submit', (e) => {
+    if (e.target.id !== 'seqSaveForm') return;
+    e.preventDefault();
+    saveCustomStyle(e.target.elements.styleName.value);
+  });
+  panel.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.type === 'text') return; // the name field keeps its own undo
+    const k = e.key.toLowerCase();
+    if (k === 'z' && !e.shiftKey) { e.preventDefault(); undoSequencer(); }
+    else if ((k === 'z' && e.shiftKey) || k === 'y') { e.preventDefault(); redoSequencer(); }
+  });
+}
+
+/* --- Texture panel --- */
+function liveMasters() {
+  return [activeTrack, fadingTrack].filter(t => t && t.master).map(t => t.master);
+}
+
+function setTexture(changes, { preset = 'custom' } = {}) {
+  texture = normalizeTexture({ ...texture, ...changes, preset });
+  saveTextureState();
+  liveMasters().forEach(m => applyTexture(m, texture));
+}
+
+function renderTexturePanel() {
+  const body = $id('textureBody');
+  if (!body) return;
+  const options = TEXTURE_PRESETS.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+  body.innerHTML = `
+    <label class="texture-preset">
+      <span class="mixer-label">Preset</span>
+      <select id="texturePreset" class="control-select">${options}<option value="custom" disabled>Custom</option></select>
+    </label>` + TEXTURE_PARAMS.map(({ key, label, min, max, step, format }) => `
+    <div class="mixer-row texture-row">
+      <span class="mixer-label">${label}</span>
+      <input type="range" class="mixer-fader" data-texture="${key}" min="${min}" max="${max}" step="${step}" value="${texture[key]}" aria-label="${label}" />
+      <span class="mixer-db">${format(texture[key])}</span>
+    </div>`).join('');
+  const picker = $id('texturePreset');
+  if (picker) picker.value = texture.preset;
+}
+
+function wireTexturePanel() {
+  wirePopoverToggle('textureBtn', 'texturePanel');
+  const body = $id('textureBody');
+  if (!body) return;
+  body.addEventListener('input', (e) => {
+    const knob = e.target.closest('[data-texture]');
+    if (!knob) return;
+    const param = TEXTURE_PARAMS.find(p => p.key === knob.dataset.texture);
+    setTexture({ [param.key]: Number(knob.value) });
+    const readout = knob.nextElementSibling;
+    if (readout) readout.textContent = param.format(texture[param.key]);
+    const picker = $id('texturePreset');
+    if (picker) picker.value = texture.preset;
+  });
+  body.addEventListener('change', (e) => {
+    if (e.target.id !== 'texturePreset') return;
+    const preset = TEXTURE_PRESETS.find(p => p.id === e.target.value);
+    if (!preset) return;
+    setTexture(preset.params, { preset: preset.id });
+    renderTexturePanel();
+  });
+}
+
+/* --- Offline render & WAV export --- */
+/*
+  Renders the same master bus + style chain into a Tone.Offline context. Without a take the
+  drum feel comes from RENDER_GROOVE_SEED, so given the same plan and length the output only
+  differs where Tone's noise is involved (vinyl and crackle, reverb IR, snare/hat synths);
+  `textureParams` lets a caller turn the bus's share of that down. The WAV writer itself adds
+  nothing time- or random-dependent.
+*/
+const RENDER_GROOVE_SEED = 0x5eed;
+
+async function renderProduction(plan, { bars = 8, seconds = null, sampleRate = 44100, textureParams = texture } = {}) {
+  const duration = seconds ? Number(seconds) : bars * 4 * 60 / plan.bpm;
+  if (!(duration > 0) || duration > 600) throw new Error('Render length must be between 0 and 10 minutes');
+
+  let scope = null;
+  try {
+    const rendered = await Tone.Offline(async ({ transport }) => {
+      transport.bpm.value = plan.bpm;
+      await ensureCrusherWorklet();
+      scope = createScope('offline render');
+      const master = createMasterBus(scope, textureParams);
+      const instance = await buildStyle(plan.style, {
+        audioUrl: plan.audioUrl, audioBuffer: plan.audioBuffer, sliceTime: plan.sliceTime, slices: plan.slices, semitone: plan.semitone, bpm: plan.bpm, key: plan.key, take: plan.take, grooveSeed: RENDER_GROOVE_SEED, birdKit: plan.birdKit, arrangement: plan.arrangement, master, scope
+      });
+      applyMix(instance, master, mixFor(plan.style.id), 0);
+      await Promise.all([master.ready, Tone.loaded()]);
+      transport.start(0);
+    }, duration, 2, sampleRate);
+    return rendered.get();
+  } finally {
+    if (scope) scope.dispose();
+  }
+}
+
+function wavMetadataFor(plan) {
+  const bird = plan.bird;
+  const ref = recordingRef(bird);
+  let license;
+  if (bird.user) license = `Own field recording${bird.recordist ? ` by ${bird.recordist}` : ''} (${bird.fileName})`;
+  else if (bird.license) license = `${bird.license}. Field recording ${ref} by ${bird.recordist}, xeno-canto.org/${bird.id}`;
+  else license = `Field recording ${ref} by ${bird.recordist}, xeno-canto.org/${bird.id}; check the recording's license before reuse`;
+  return {
+    INAM: `${bird.species} (${ref}) — ${plan.style.name}`,
+    IART: bird.recordist || '',
+    ISBJ: [bird.species, bird.gen && bird.sp ? `${bird.gen} ${bird.sp}` : ''].filter(Boolean).join(' · '),
+    ICMT: `${ref} · ${plan.style.name} · ${Math.round(plan.bpm)} BPM${plan.take ? ` · seed ${formatSeed(plan.take.seed)}` : ''}`,
+    ICOP: license,
+    ICRD: bird.date || '',
+    ISFT: 'BIRDWAVE.fm'
+  };
+}
+
+/* PCM WAV with a LIST/INFO chunk; bitDepth is 16 or 24 */
+function encodeWav(audioBuffer, { bitDepth = 16, metadata = {} } = {}) {
+  if (bitDepth !== 16 && bitDepth !== 24) throw new Error('WAV export supports 16 or 24 bit');
+  const enc = new TextEncoder();
+  const channels = audioBuffer.numberOfChannels;
+  const frames = audioBuffer.length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = frames * blockAlign;
+
+  const infoChunks = Object.entries(metadata)
+    .filter(([, v]) => v)
+    .map(([id, v]) => {
+      const text = enc.encode(String(v));
+      const size = text.length + 1; // NUL-terminated
+      return { id, text, size, padded: size + (size % 2) };
+    });
+  const listSize = infoChunks.length ? 4 + infoChunks.reduce((n, c) => n + 8 + c.padded, 0) : 0;
+
+  const total = 12 + (8 + 16) + (listSize ? 8 + listSize : 0) + 8 + dataSize;
+  const buf = new ArrayBuffer(total);
+  const view = new DataView(buf);
+  const bytes = new Uint8Array(buf);
+  let o = 0;
+  const str = (t) => { for (let i = 0; i < t.length; i++) view.setUint8(o++, t.charCodeAt(i)); };
+  const u32 = (v) => { view.setUint32(o, v, true); o += 4; };
+  const u16 = (v) => { view.setUint16(o, v, true); o += 2; };
+
+  str('RIFF'); u32(total - 8); str('WAVE');
+  str('fmt '); u32(16); u16(1); u16(channels); u32(audioBuffer.sampleRate);
+  u32(audioBuffer.sampleRate * blockAlign); u16(blockAlign); u16(bitDepth);
+
+  if (listSize) {
+    str('LIST'); u32(listSize); str('INFO');
+    infoChunks.forEach(c => {
+      str(c.id); u32(c.size);
+      bytes.set(c.text, o); o += c.text.length;
+      view.setUint8(o++, 0);
+      if (c.padded > c.size) view.setUint8(o++, 0);
+    });
+  }
+
+  str('data'); u32(dataSize);
+  const data = [];
+  for (let ch = 0; ch < channels; ch++) data.push(audioBuffer.getChannelData(ch));
+  const max = bitDepth === 16 ? 0x7FFF : 0x7FFFFF;
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      const x = Math.max(-1, Math.min(1, data[ch][i]));
+      const v = Math.round(x * max);
+      if (bitDepth === 16) { view.setInt16(o, v, true); o += 2; }
+      else {
+        view.setUint8(o++, v & 0xFF);
+        view.setUint8(o++, (v >> 8) & 0xFF);
+        view.setUint8(o++, (v >> 16) & 0xFF);
+      }
+    }
+  }
+  return buf;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportProduction({ amount = 8, unit = 'bars', bitDepth = 16 } = {}) {
+  if (!nowPlaying) return;
+  const btn = $id('exportRenderBtn');
+  const status = $id('exportStatus');
+  if (btn) btn.disabled = true;
+  if (status) status.textContent = 'Rendering…';
+  try {
+    // the playing track is exported as heard, step sequencer edits included
+    const plan = (activeTrack && activeTrack.plan && activeTrack.plan.bird.id === nowPlaying.id)
+      ? { ...activeTrack.plan, arrangement: activeTrack.styleInstance.written }
+      : await prepareProduction(nowPlaying);
+    const audioBuffer = await renderProduction(plan, unit === 'seconds' ? { seconds: amount } : { bars: amount });
+    const wav = encodeWav(audioBuffer, { bitDepth: Number(bitDepth), metadata: wavMetadataFor(plan) });
+    downloadBlob(new Blob([wav], { type: 'audio/wav' }), `birdwave-${recordingRef(plan.bird)}-${plan.style.id}-${Math.round(plan.bpm)}bpm.wav`);
+    if (status) status.textContent = `Exported ${audioBuffer.duration.toFixed(1)} s`;
+  } catch (err) {
+    handleError(err, { userMessage: `Export failed: ${err.message}` });
+    if (status) status.textContent = '';
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+/* popovers above the controls (export, mixer): one open at a time */
+function wirePopoverToggle(toggleId, panelId) {
+  const toggle = $id(toggleId);
+  const panel = $id(panelId);
+  if (!toggle || !panel) return;
+  toggle.addEventListener('click', () => {
+    const open = panel.classList.contains('hidden');
+    document.querySelectorAll('.control-popover').forEach(p => {
+      p.classList.add('hidden');
+      const owner = document.querySelector(`[aria-controls="${p.id}"]`);
+      if (owner) owner.setAttribute('aria-expanded', 'false');
+    });
+    panel.classList.toggle('hidden', !open);
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+  });
+}
+
+function wireExportPanel() {
+  wirePopoverToggle('exportBtn', 'exportPanel');
+  const form = $id('exportForm');
+  if (form) {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      exportProduction({
+        amount: Number(form.elements.exportAmount.value) || 8,
+        unit: form.elements.exportUnit.value,
+        bitDepth: Number(form.elements.exportBits.value)
+      });
+    });
   }
-  if (!_waveRaf) draw();
 }
-function stopWaveformAnimation() { if (_waveRaf) cancelAnimationFrame(_waveRaf); _waveRaf = null; }
 
 /* --- Video playlist setup --- */
 function setVideo(index) {
@@ -460,40 +3257,356 @@ function setVideo(index) {
 }
 function playNextVideo() { setVideo(currentVideoIndex + 1); }
 
+/* --- Search, filters & facets --- */
+const FILTER_STORAGE_KEY = 'birdwave.filters';
+
+// Each facet maps a recording to one or more values; XC `type` can be a list ("call, song").
+const FACETS = [
+  { key: 'country', label: 'Country', values: b => [b.region || 'Unknown'] },
+  { key: 'type', label: 'Type', values: b => String(b.soundType || 'song').split(',').map(s => s.trim()).filter(Boolean) },
+  { key: 'sex', label: 'Sex', values: b => [b.sex || 'unknown'] },
+  { key: 'quality', label: 'Quality', values: b => [b.quality || '—'] }
+];
+
+let activeFilters = { query: '', facets: {} };
+
+function loadFilterState() {
+  try {
+    const raw = localStorage.getItem(FILTER_STORAGE_KEY);
+    if (!raw) return;
+    const saved = JSON.parse(raw);
+    const facets = {};
+    FACETS.forEach(f => {
+      const vals = saved && saved.facets && saved.facets[f.key];
+      if (Array.isArray(vals) && vals.length) facets[f.key] = vals.map(String);
+    });
+    activeFilters = { query: (saved && typeof saved.query === 'string') ? saved.query : '', facets };
+  } catch (e) { console.warn('Filter state restore failed:', e); }
+}
+function saveFilterState() {
+  try { localStorage.setItem(FILTER_STORAGE_KEY, JSON.stringify(activeFilters)); } catch (e) {}
+}
+
+function matchesQuery(bird, query) {
+  const q = (query || '').trim().toLowerCase();
+  if (!q) return true;
+  const haystack = [bird.species, bird.gen, bird.sp, bird.recordist].filter(Boolean).join(' ').toLowerCase();
+  return q.split(/\s+/).every(term => haystack.includes(term));
+}
+
+/* facets combine with AND; values inside one facet combine with OR */
+function matchesFacets(bird, skipKey = null) {
+  return FACETS.every(f => {
+    if (f.key === skipKey) return true;
+    const selected = activeFilters.facets[f.key];
+    if (!selected || selected.length === 0) return true;
+    return f.values(bird).some(v => selected.includes(v));
+  });
+}
+
+/* counts for a facet ignore that facet's own selection so siblings stay reachable */
+function facetCounts(facet) {
+  const counts = new Map();
+  recordings.forEach(bird => {
+    if (!matchesQuery(bird, activeFilters.query) || !matchesFacets(bird, facet.key)) return;
+    facet.values(bird).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  });
+  (activeFilters.facets[facet.key] || []).forEach(v => { if (!counts.has(v)) counts.set(v, 0); });
+  return [...counts.entries()].sort((a,b) => (b[1] - a[1]) || a[0].localeCompare(b[0]));
+}
+
+function applyFilters() {
+  filteredRecordings = recordings
+    .filter(b => matchesQuery(b, activeFilters.query) && matchesFacets(b))
+    .sort((a,b) => a.species.localeCompare(b.species));
+  saveFilterState();
+  saveSession();
+  renderFilterBar();
+  renderBirdList();
+  renderBirdMap();
+  if (radio.on) refillRadioQueue();
+}
+
+function renderFilterBar() {
+  const search = $id('searchInput');
+  if (search && search.value !== activeFilters.query) search.value = activeFilters.query;
+
+  const summary = $id('filterSummary');
+  const activeCount = Object.values(activeFilters.facets).reduce((n, v) => n + v.length, 0);
+  if (summary) summary.textContent = `${filteredRecordings.length} of ${recordings.length} channels`;
+  const clearBtn = $id('clearFiltersBtn');
+  if (clearBtn) clearBtn.disabled = !activeCount && !activeFilters.query.trim();
+  const facetsToggle = $id('facetsSummary');
+  if (facetsToggle) facetsToggle.textContent = activeCount ? `Filters (${activeCount})` : 'Filters';
+
+  const groups = $id('facetGroups');
+  if (!groups) return;
+  groups.innerHTML = FACETS.map(facet => {
+    const selected = activeFilters.facets[facet.key] || [];
+    const chips = facetCounts(facet).map(([value, count]) => {
+      const on = selected.includes(value);
+      return `<button type="button" class="facet-chip ${on ? 'active' : ''}" data-facet="${facet.key}" data-value="${escapeHtml(value)}" aria-pressed="${on}" ${count === 0 && !on ? 'disabled' : ''}>${escapeHtml(value)} <span class="facet-count">${count}</span></button>`;
+    }).join('');
+    return `
+      <div class="facet-group" role="group" aria-label="${facet.label}">
+        <div class="facet-label">${facet.label}</div>
+        <div class="facet-chips">${chips}</div>
+      </div>`;
+  }).join('');
+}
+
+function toggleFacet(key, value) {
+  const selected = activeFilters.facets[key] || [];
+  const next = selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+  if (next.length) activeFilters.facets[key] = next;
+  else delete activeFilters.facets[key];
+  applyFilters();
+}
+
+function setSearchQuery(query) {
+  activeFilters.query = String(query || '');
+  applyFilters();
+}
+
+function clearFilters() {
+  activeFilters = { query: '', facets: {} };
+  applyFilters();
+}
+
+function wireFilterBar() {
+  const search = $id('searchInput');
+  if (search) {
+    let t = null;
+    search.addEventListener('input', () => {
+      clearTimeout(t);
+      t = setTimeout(() => setSearchQuery(search.value), 150);
+    });
+    search.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && search.value) { e.preventDefault(); search.value = ''; setSearchQuery(''); }
+    });
+  }
+  const groups = $id('facetGroups');
+  if (groups) {
+    groups.addEventListener('click', (e) => {
+      const chip = e.target.closest('.facet-chip');
+      if (!chip || chip.disabled) return;
+      toggleFacet(chip.dataset.facet, chip.dataset.value);
+    });
+  }
+  const clearBtn = $id('clearFiltersBtn');
+  if (clearBtn) clearBtn.addEventListener('click', clearFilters);
+}
+
 /* --- Render bird list --- */
 function renderBirdList() {
   const birdList = $id('birdList');
   if (!birdList) return;
   if (filteredRecordings.length === 0) {
-    birdList.innerHTML = '<div class="loading">No recordings found</div>';
+    birdList.innerHTML = recordings.length
+      ? '<div class="loading">No channels match these filters</div>'
+      : '<div class="loading">No recordings found</div>';
     return;
   }
 
-  birdList.innerHTML = filteredRecordings.map(bird => {
+  birdList.innerHTML = filteredRecordings.map(bird => {
+    const active = nowPlaying && nowPlaying.id === bird.id ? 'active' : '';
+    const disabled = isPlayable(bird) ? '' : 'disabled';
+    const missing = disabled ? ` title="No audio file found (tried ${escapeHtml(bird.audioCandidates.join(', '))})"` : '';
+    return `
+      <div class="bird-card ${active} ${disabled} ${bird.user ? 'user' : ''}" data-id="${bird.id}" role="listitem">
+        <div class="bird-row" role="button" tabindex="${disabled ? '-1' : '0'}" aria-disabled="${disabled ? 'true' : 'false'}" aria-controls="details-${bird.id}" aria-expanded="${active ? 'true' : 'false'}"${missing}>
+          <div class="bird-name">${escapeHtml(bird.species)}</div>
+          ${disabled ? '<span class="bird-badge">No audio</span>' : ''}
+        </div>
+        <div class="bird-details" id="details-${bird.id}" aria-hidden="${active ? 'false' : 'true'}">
+          <div class="details-inner"></div>
+        </div>
+        ${bird.user ? userEditFormHtml(bird) : ''}
+      </div>
+    `;
+  }).join('');
+
+  Array.from(birdList.querySelectorAll('.bird-row')).forEach(row => {
+    const card = row.closest('.bird-card');
+    const id = card.getAttribute('data-id');
+    if (card.classList.contains('disabled')) return;
+    row.addEventListener('click', () => handleBirdRowSelect(id));
+    row.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        handleBirdRowSelect(id);
+      }
+    });
+  });
+  Array.from(birdList.querySelectorAll('.bird-card.user')).forEach(wireUserCard);
+}
+
+/* --- Map view & nearby navigation --- */
+/*
+  The map is an SVG over a bundled Natural Earth land outline (map/land-110m.json, rings of
+  [lon, lat]); no tile service. It uses an equirectangular projection, fitted to the filtered
+  channels and squeezed by cos(latitude) so mid-latitudes don't look stretched. Channels
+  without coordinates (user recordings) are counted under the map instead of plotted.
+*/
+const VIEW_STORAGE_KEY = 'birdwave.view';
+const MAP_LAND_URL = 'map/land-110m.json';
+const MAP_MARGIN_DEG = 12;
+
+let channelView = 'list';   // 'list' | 'map'
+let nearbyNav = false;      // next/prev pick the closest channel instead of the next in the list
+let nearbyTrail = [];       // ids visited in nearby mode, so "previous" can walk back
+let _mapLand = null;
+let _mapRenderToken = 0;
+
+function loadViewState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(VIEW_STORAGE_KEY) || '{}');
+    channelView = saved.view === 'map' ? 'map' : 'list';
+    nearbyNav = !!saved.nearby;
+  } catch (e) {}
+}
+
+function saveViewState() {
+  try { localStorage.setItem(VIEW_STORAGE_KEY, JSON.stringify({ view: channelView, nearby: nearbyNav })); } catch (e) {}
+}
+
+function hasCoords(bird) { return !!bird && Number.isFinite(bird.lat) && Number.isFinite(bird.lon); }
+
+/* great-circle distance in km */
+function distanceKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function loadMapLand() {
+  if (!_mapLand) {
+    _mapLand = fetchWithTimeout(MAP_LAND_URL, { timeout: 8000, retries: 1, backoff: 400 })
+      .then(res => res.json())
+      .then(data => Array.isArray(data.rings) ? data.rings : [])
+      .catch(err => { console.warn('Map outline unavailable:', err); _mapLand = null; return []; });
+  }
+  return _mapLand;
+}
+
+function mapProjectionFor(birds) {
+  let west = -170, east = 190, south = -60, north = 80;
+  if (birds.length) {
+    west = Math.min(...birds.map(b => b.lon)) - MAP_MARGIN_DEG;
+    east = Math.max(...birds.map(b => b.lon)) + MAP_MARGIN_DEG;
+    south = Math.max(-85, Math.min(...birds.map(b => b.lat)) - MAP_MARGIN_DEG);
+    north = Math.min(85, Math.max(...birds.map(b => b.lat)) + MAP_MARGIN_DEG);
+  }
+  const k = Math.cos(((north + south) / 2) * Math.PI / 180);
+  return {
+    width: (east - west) * k,
+    height: north - south,
+    project: (lon, lat) => [(lon - west) * k, north - lat]
+  };
+}
+
+async function renderBirdMap() {
+  const map = $id('birdMap');
+  if (!map || channelView !== 'map') return;
+  const token = ++_mapRenderToken;
+  const rings = await loadMapLand();
+  if (token !== _mapRenderToken) return;
+
+  const plotted = filteredRecordings.filter(hasCoords);
+  const { width, height, project } = mapProjectionFor(plotted);
+  const r = Math.max(width, height) / 70;
+  const land = rings.map(ring => 'M' + ring.map(([lon, lat]) => project(lon, lat).map(v => v.toFixed(2)).join(',')).join('L') + 'Z').join('');
+  const pins = plotted.map(bird => {
+    const [x, y] = project(bird.lon, bird.lat);
     const active = nowPlaying && nowPlaying.id === bird.id ? 'active' : '';
+    const disabled = isPlayable(bird) ? '' : 'disabled';
+    const where = [bird.loc, bird.region].filter(Boolean).join(', ');
+    const label = `${bird.species} — ${where}${Number.isFinite(bird.alt) ? ` (${bird.alt} m)` : ''}${disabled ? ' — no audio' : ''}`;
     return `
-      <div class="bird-card ${active}" data-id="${bird.id}" role="listitem">
-        <div class="bird-row" role="button" tabindex="0" aria-controls="details-${bird.id}" aria-expanded="${active ? 'true' : 'false'}">
-          <div class="bird-name">${escapeHtml(bird.species)}</div>
-        </div>
-        <div class="bird-details" id="details-${bird.id}" aria-hidden="${active ? 'false' : 'true'}">
-          <div class="details-inner"></div>
-        </div>
-      </div>
-    `;
+      <g class="map-pin ${active} ${disabled}" data-id="${escapeHtml(bird.id)}" transform="translate(${x.toFixed(2)},${y.toFixed(2)})"
+         role="button" tabindex="${disabled ? '-1' : '0'}" aria-disabled="${disabled ? 'true' : 'false'}" aria-label="${escapeHtml(label)}">
+        <title>${escapeHtml(label)}</title>
+        <circle r="${(r * 1.8).toFixed(2)}" class="map-pin-halo"></circle>
+        <circle r="${r.toFixed(2)}" class="map-pin-dot"></circle>
+      </g>`;
   }).join('');
 
-  Array.from(birdList.querySelectorAll('.bird-row')).forEach(row => {
-    const card = row.closest('.bird-card');
-    const id = card.getAttribute('data-id');
-    row.addEventListener('click', () => handleBirdRowSelect(id));
-    row.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        handleBirdRowSelect(id);
-      }
+  const unplotted = filteredRecordings.length - plotted.length;
+  map.innerHTML = `
+    <svg class="map-svg" viewBox="0 0 ${width.toFixed(2)} ${height.toFixed(2)}" preserveAspectRatio="xMidYMid meet" role="group" aria-label="Recording locations">
+      <path class="map-land" d="${land}"></path>
+      ${pins}
+    </svg>
+    <div class="map-note">${plotted.length ? '' : 'No channels with a location match these filters. '}${unplotted ? `${unplotted} channel${unplotted === 1 ? ' has' : 's have'} no location.` : ''}</div>`;
+
+  Array.from(map.querySelectorAll('.map-pin')).forEach(pin => {
+    if (pin.classList.contains('disabled')) return;
+    const id = pin.getAttribute('data-id');
+    pin.addEventListener('click', () => selectBird(id));
+    pin.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); selectBird(id); }
     });
   });
+  updateMapActive();
+}
+
+function updateMapActive() {
+  const map = $id('birdMap');
+  if (!map) return;
+  Array.from(map.querySelectorAll('.map-pin')).forEach(pin => {
+    const isActive = !!nowPlaying && pin.getAttribute('data-id') === nowPlaying.id;
+    pin.classList.toggle('active', isActive);
+    if (isActive) pin.parentNode.appendChild(pin); // draw on top of its neighbours
+  });
+}
+
+function setChannelView(view) {
+  channelView = view === 'map' ? 'map' : 'list';
+  saveViewState();
+  const list = $id('birdList'); if (list) list.classList.toggle('hidden', channelView !== 'list');
+  const map = $id('birdMap'); if (map) map.classList.toggle('hidden', channelView !== 'map');
+  const listBtn = $id('listViewBtn'); if (listBtn) listBtn.setAttribute('aria-pressed', channelView === 'list' ? 'true' : 'false');
+  const mapBtn = $id('mapViewBtn'); if (mapBtn) mapBtn.setAttribute('aria-pressed', channelView === 'map' ? 'true' : 'false');
+  renderBirdMap();
+}
+
+function setNearbyNav(on) {
+  nearbyNav = !!on;
+  nearbyTrail = [];
+  saveViewState();
+  const btn = $id('nearbyBtn');
+  if (btn) btn.setAttribute('aria-pressed', nearbyNav ? 'true' : 'false');
+}
+
+function nearestChannel(from, exclude) {
+  let best = null, bestKm = Infinity;
+  filteredRecordings.forEach(b => {
+    if (b.id === from.id || exclude.has(b.id) || !isPlayable(b) || !hasCoords(b)) return;
+    const km = distanceKm(from, b);
+    if (km < bestKm) { best = b; bestKm = km; }
+  });
+  return best;
+}
+
+/* closest channel not yet visited on this walk; once all are visited the walk starts over */
+function nextNearby() {
+  if (!hasCoords(nowPlaying)) return false;
+  let next = nearestChannel(nowPlaying, new Set(nearbyTrail));
+  if (!next) { nearbyTrail = []; next = nearestChannel(nowPlaying, new Set()); }
+  if (!next) return false;
+  nearbyTrail.push(nowPlaying.id);
+  selectBird(next.id);
+  return true;
+}
+
+function previousNearby() {
+  while (nearbyTrail.length) {
+    const id = nearbyTrail.pop();
+    if (isPlayable(filteredRecordings.find(b => b.id === id))) { selectBird(id); return true; }
+  }
+  return false;
 }
 
 /* --- Inline details helpers --- */
@@ -524,8 +3637,9 @@ function openInlineDetailsFor(id, bird) {
   inner.innerHTML = `
     <div class="details-title">${escapeHtml(bird.species)}</div>
     <div class="details-row"><strong>Type:</strong>&nbsp;<span>${escapeHtml(bird.soundType || '—')}</span></div>
-    <div class="details-row"><strong>Location:</strong>&nbsp;<span>${escapeHtml(bird.region || '')} · ${escapeHtml(bird.loc || '')}</span></div>
+    <div class="details-row"><strong>Location:</strong>&nbsp;<span>${escapeHtml([bird.region, bird.loc].filter(Boolean).join(' · ') || '—')}</span></div>
     <div class="details-row"><strong>Duration:</strong>&nbsp;<span>${escapeHtml(bird.length || '—')}</span></div>
+    <div class="details-row"><strong>Tempo:</strong>&nbsp;<span class="details-tempo">${escapeHtml(formatTempo(bird))}</span></div>
     <div class="details-row"><strong>Recordist:</strong>&nbsp;<span>${escapeHtml(bird.recordist || '—')}</span></div>
   `;
 
@@ -544,6 +3658,7 @@ function openInlineDetailsFor(id, bird) {
 
 /* --- Targeted UI update --- */
 function markCardActive(id) {
+  updateMapActive();
   const list = $id('birdList');
   if (!list) return;
   Array.from(list.querySelectorAll('.bird-card')).forEach(c => {
@@ -823,6 +3938,7 @@ function showOnboard() {
 }
 
 function closeOnboard() {
+  try { localStorage.setItem(ONBOARD_SEEN_KEY, '1'); } catch (e) {}
   _onboard.active = false;
   _onboard.step = 0;
   const overlay = $id('onboardOverlay');
@@ -843,48 +3959,901 @@ function closeOnboard() {
   try { delete window.___onboard_detach; } catch(e){}
 }
 
+/* --- Catalog validation & asset resolution --- */
+/*
+  Every catalog record is checked against a small schema before it becomes a channel.
+  Records without an id or name are dropped; anything else is kept with its issues listed.
+  Audio is resolved from `file-name`, falling back to the same stem in the other formats,
+  and channels with no file at all stay in the list but are disabled. Resolving costs up to
+  three HEAD requests per record, so a found file is remembered for up to a day. Only finds
+  are kept: records without audio are probed again on every load, so files added later are
+  picked up, and a remembered file that then fails to download is forgotten.
+*/
+const AUDIO_DIR = './audio/';
+const CATALOG_AUDIO_FORMATS = ['mp3', 'wav', 'ogg'];
+const AUDIO_RESOLVE_STORAGE_KEY = 'birdwave.audioFiles';
+const AUDIO_RESOLVE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+function validateCatalogRecord(rec) {
+  const errors = [];
+  const warnings = [];
+  const isStr = v => typeof v === 'string' && v.trim() !== '';
+  const checkCoord = (v, name, limit) => {
+    if (v === undefined || v === '') return;
+    const n = Number(v);
+    if (!isFinite(n) || Math.abs(n) > limit) warnings.push(`${name} "${v}" is not a coordinate`);
+  };
+
+  if (!rec || typeof rec !== 'object') return { errors: ['record must be an object'], warnings };
+  if (!/^\d+$/.test(String(rec.id || ''))) errors.push('id must be a xeno-canto number');
+  if (!isStr(rec.en)) errors.push('en (English name) is required');
+  if (!isStr(rec.gen) || !isStr(rec.sp)) warnings.push('gen and sp should name the species');
+  if (!isStr(rec.rec)) warnings.push('rec (recordist) is missing');
+  if (!isStr(rec['file-name'])) warnings.push('file-name is missing');
+  else if (!new RegExp(`\\.(${CATALOG_AUDIO_FORMATS.join('|')})$`, 'i').test(rec['file-name'])) warnings.push(`file-name "${rec['file-name']}" is not ${CATALOG_AUDIO_FORMATS.join('/')}`);
+  if (rec.length !== undefined && !/^\d+:\d{2}$/.test(rec.length)) warnings.push(`length "${rec.length}" is not m:ss`);
+  if (rec.q !== undefined && !/^[A-E]$/.test(rec.q)) warnings.push(`q "${rec.q}" is not a quality grade A–E`);
+  if (rec.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(rec.date)) warnings.push(`date "${rec.date}" is not YYYY-MM-DD`);
+  checkCoord(rec.lat, 'lat', 90);
+  checkCoord(rec.lon, 'lon', 180);
+  return { errors, warnings };
+}
+
+/* `file-name` first, then the same stem in every other supported format */
+function audioCandidatesFor(rec) {
+  const declared = typeof rec['file-name'] === 'string' ? rec['file-name'].trim() : '';
+  const stem = declared ? declared.replace(/\.[a-z0-9]+$/i, '') : `XC${rec.id}`;
+  const names = declared ? [declared] : [];
+  CATALOG_AUDIO_FORMATS.forEach(ext => {
+    const name = `${stem}.${ext}`;
+    if (!names.includes(name)) names.push(name);
+  });
+  return names;
+}
+
+async function audioFileExists(fileName) {
+  try {
+    await fetchWithTimeout(`${AUDIO_DIR}${fileName}`, { timeout: 4000, retries: 0, method: 'HEAD' });
+    return true;
+  } catch (e) { return false; }
+}
+
+async function resolveAudioFile(rec) {
+  for (const name of audioCandidatesFor(rec)) {
+    if (await audioFileExists(name)) return name;
+  }
+  return null;
+}
+
+/* candidate list ("a.mp3,a.wav,a.ogg") -> { file, savedAt } for every file that was found */
+function loadResolvedAudio() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUDIO_RESOLVE_STORAGE_KEY) || '{}');
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (e) { return {}; }
+}
+function saveResolvedAudio(cache) {
+  try { localStorage.setItem(AUDIO_RESOLVE_STORAGE_KEY, JSON.stringify(cache)); } catch (e) {}
+}
+
+/* resolved file name (or null) per record; remembered finds are reused, the rest are probed */
+async function resolveAudioFiles(records) {
+  const cache = loadResolvedAudio();
+  const now = Date.now();
+  const resolved = await Promise.all(records.map(async rec => {
+    const candidates = audioCandidatesFor(rec).join(',');
+    const hit = cache[candidates];
+    if (hit && typeof hit.file === 'string' && now - hit.savedAt < AUDIO_RESOLVE_MAX_AGE) return hit.file;
+    const file = await resolveAudioFile(rec);
+    if (file) cache[candidates] = { file, savedAt: now };
+    else delete cache[candidates];
+    return file;
+  }));
+  saveResolvedAudio(cache);
+  return resolved;
+}
+
+/* a remembered file failed to download: probe its record again on the next load */
+function forgetResolvedAudio(fileName) {
+  const cache = loadResolvedAudio();
+  const stale = Object.keys(cache).filter(candidates => cache[candidates].file === fileName);
+  if (!stale.length) return;
+  stale.forEach(candidates => { delete cache[candidates]; });
+  saveResolvedAudio(cache);
+}
+
+function reportCatalogValidation(report) {
+  const { catalog = 'Catalog', total, duplicates = 0, failedSources = [], dropped, unplayable, fallbacks, warnings } = report;
+  const label = `${catalog}: ${total - dropped.length} channels, ${unplayable.length} without audio, ${fallbacks.length} format fallbacks, ${dropped.length} dropped, ${duplicates} duplicates merged`;
+  const log = (dropped.length || unplayable.length) ? 'warn' : 'info';
+  console.groupCollapsed(label);
+  failedSources.forEach(src => console.error(`source failed: ${src}`));
+  dropped.forEach(d => console.error(`dropped record #${d.index}:`, d.errors.join('; ')));
+  unplayable.forEach(b => console[log](`XC${b.id} ${b.species}: no audio for ${b.audioCandidates.join(', ')}`));
+  fallbacks.forEach(b => console.info(`XC${b.id} ${b.species}: "${b.declaredFileName}" not found, using ${b.fileName}`));
+  warnings.forEach(w => console.info(`XC${w.id}: ${w.message}`));
+  console.groupEnd();
+
+  if (!dropped.length && !unplayable.length && !failedSources.length) return;
+  const parts = [];
+  if (failedSources.length) parts.push(`${failedSources.length} source${failedSources.length === 1 ? '' : 's'} failed to load`);
+  if (unplayable.length) parts.push(`${unplayable.length} channel${unplayable.length === 1 ? '' : 's'} without audio (${unplayable.map(b => b.species).join(', ')})`);
+  if (dropped.length) parts.push(`${dropped.length} invalid record${dropped.length === 1 ? '' : 's'} skipped`);
+  showBanner(`Catalog check: ${parts.join(' · ')}. See the console for details.`, { type: 'info', timeout: 10000 });
+}
+
+function isPlayable(bird) { return !!(bird && bird.playable); }
+
+function toNumberOrNull(v) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/* --- Catalogs: named sets of xeno-canto API-shaped sources --- */
+/*
+  catalogs/index.json lists named catalogs; each has one or more sources. A source is any URL
+  that answers in the xeno-canto API shape ({ numRecordings, page, numPages, recordings[] }):
+  a bundled file, a recorded API response on a local stand-in server, or the API itself.
+  Paged sources are followed up to CATALOG_MAX_PAGES, either by substituting "{page}" in the
+  URL or by setting its `page` query parameter. Records are merged by XC id, first one wins.
+*/
+const CATALOGS_DIR = 'catalogs/';
+const CATALOG_STORAGE_KEY = 'birdwave.catalog';
+const CATALOG_MAX_PAGES = 25;
+const DEFAULT_CATALOG = { id: 'all', name: 'All recordings', sources: ['bird-recordings.json'] };
+
+let catalogs = [DEFAULT_CATALOG];
+let activeCatalogId = DEFAULT_CATALOG.id;
+
+function catalogPageUrl(url, page) {
+  if (url.includes('{page}')) return url.replace(/\{page\}/g, String(page));
+  if (page === 1) return url;
+  const u = new URL(url, location.href);
+  u.searchParams.set('page', String(page));
+  return u.href;
+}
+
+async function fetchCatalogSource(url) {
+  const records = [];
+  let page = 1;
+  while (true) {
+    const pageUrl = catalogPageUrl(url, page);
+    const response = await fetchWithTimeout(pageUrl, { timeout:8000, retries:2, backoff:400 });
+    let data;
+    try { data = await response.json(); } catch (e) { throw new Error(`${pageUrl}: not valid JSON (${e.message})`); }
+    if (!data || !Array.isArray(data.recordings)) throw new Error(`${pageUrl}: no "recordings" array`);
+    records.push(...data.recordings);
+    const numPages = parseInt(data.numPages, 10) || 1;
+    if (page >= numPages) break;
+    if (page >= CATALOG_MAX_PAGES) { console.warn(`${url}: stopped after ${CATALOG_MAX_PAGES} of ${numPages} pages`); break; }
+    page++;
+  }
+  return records;
+}
+
+/* merge record lists by XC id; records without an id are passed through for validation to reject */
+function mergeCatalogRecords(lists) {
+  const byId = new Map();
+  const unkeyed = [];
+  let duplicates = 0;
+  lists.forEach(list => list.forEach(rec => {
+    const id = rec && rec.id !== undefined ? String(rec.id) : '';
+    if (!id) { unkeyed.push(rec); return; }
+    if (byId.has(id)) { duplicates++; return; }
+    byId.set(id, rec);
+  }));
+  return { records: [...byId.values(), ...unkeyed], duplicates };
+}
+
+function getCatalog(id) { return catalogs.find(c => c.id === id) || null; }
+function activeCatalog() { return getCatalog(activeCatalogId) || catalogs[0]; }
+
+async function loadCatalogManifest() {
+  let saved = null;
+  try { saved = localStorage.getItem(CATALOG_STORAGE_KEY); } catch (e) {}
+  try {
+    const response = await fetchWithTimeout(`${CATALOGS_DIR}index.json`, { timeout:8000, retries:1, backoff:400 });
+    const manifest = await response.json();
+    const list = (Array.isArray(manifest.catalogs) ? manifest.catalogs : []).filter(c => {
+      const ok = c && typeof c.id === 'string' && typeof c.name === 'string'
+        && Array.isArray(c.sources) && c.sources.length && c.sources.every(src => typeof src === 'string');
+      if (!ok) console.warn('Catalog entry skipped — needs id, name and a list of source URLs:', c);
+      return ok;
+    });
+    if (list.length) {
+      catalogs = list;
+      activeCatalogId = getCatalog(manifest.default) ? manifest.default : list[0].id;
+    }
+  } catch (err) {
+    console.warn('No catalog manifest, using bird-recordings.json only:', err);
+  }
+  if (saved && getCatalog(saved)) activeCatalogId = saved;
+}
+
+function renderCatalogPicker() {
+  const picker = $id('catalogPicker');
+  if (!picker) return;
+  picker.innerHTML = catalogs.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('');
+  picker.value = activeCatalog().id;
+  picker.disabled = catalogs.length < 2;
+}
+
+async function switchCatalog(id) {
+  if (!getCatalog(id) || id === activeCatalogId) return;
+  activeCatalogId = id;
+  try { localStorage.setItem(CATALOG_STORAGE_KEY, id); } catch (e) {}
+  renderCatalogPicker();
+
+  const birdList = $id('birdList');
+  if (birdList) birdList.innerHTML = '<div class="loading">Loading catalog…</div>';
+  await loadRecordings();
+
+  // keep the current channel if the new catalog has it, otherwise hand over to its first one
+  const kept = nowPlaying && recordings.find(b => b.id === nowPlaying.id);
+  if (kept) {
+    nowPlaying = kept;
+    renderBirdList();
+  } else if (nowPlaying) {
+    if (activeTrack) stopPlay();
+    const first = filteredRecordings.find(isPlayable);
+    if (first) selectBird(first.id);
+  }
+}
+
+/* --- User recordings (drag & drop) --- */
+/*
+  Dropped WAV/MP3/OGG files become channels ahead of the catalog. The encoded bytes and the
+  editable fields are kept in the `user-recordings` store of the audio database, so they
+  survive reloads; playback goes through the same prepareProduction() pipeline via a blob URL.
+*/
+const USER_AUDIO_TYPES = { wav: 'audio/wav', mp3: 'audio/mpeg', ogg: 'audio/ogg' };
+const USER_AUDIO_MAX_BYTES = 100 * 1024 * 1024;
+const USER_FIELDS = ['species', 'loc', 'recordist'];
+
+function _idbUserRequest(mode, op) {
+  return _idbStoreRequest(USER_RECORDINGS_STORE, mode, op);
+}
+
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function userBirdFrom(row) {
+  return {
+    id: row.id,
+    user: true,
+    species: row.species,
+    en: row.species,
+    gen: '',
+    sp: '',
+    region: '',
+    loc: row.loc,
+    bpmEstimate: estimateBPM(row.length),
+    recordist: row.recordist,
+    tags: ['yours'],
+    soundType: 'your recording',
+    sex: '',
+    quality: '',
+    license: '',
+    date: row.date,
+    lat: null,
+    lon: null,
+    alt: null,
+    fileName: row.fileName,
+    playable: true,
+    length: row.length,
+    objectUrl: URL.createObjectURL(new Blob([row.data], { type: row.type }))
+  };
+}
+
+async function loadUserRecordings() {
+  let rows = [];
+  try { rows = await _idbUserRequest('readonly', store => store.getAll()); } catch (e) { console.warn('User recordings unavailable:', e); }
+  userRecordings = rows.sort((a, b) => a.addedAt - b.addedAt).map(userBirdFrom);
+}
+
+function mergeChannels() {
+  recordings = [...userRecordings, ...catalogRecordings];
+  applyFilters();
+}
+
+async function addUserRecording(file) {
+  const ext = (file.name.split('.').pop() || '').toLowerCase();
+  const type = USER_AUDIO_TYPES[ext] || (Object.values(USER_AUDIO_TYPES).includes(file.type) ? file.type : '');
+  if (!type) { showBanner(`${file.name} is not a WAV, MP3 or OGG file`); return null; }
+  if (file.size > USER_AUDIO_MAX_BYTES) { showBanner(`${file.name} is larger than ${USER_AUDIO_MAX_BYTES / 1024 / 1024} MB`); return null; }
+
+  const data = await file.arrayBuffer();
+  let decoded;
+  try { decoded = await Tone.context.rawContext.decodeAudioData(data.slice(0)); } catch (e) {
+    handleError(e, { userMessage: `Could not decode ${file.name} — is it a valid audio file?` });
+    return null;
+  }
+
+  const row = {
+    id: `user-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    species: file.name.replace(/\.[a-z0-9]+$/i, ''),
+    loc: '',
+    recordist: '',
+    fileName: file.name,
+    type: file.type || type,
+    length: formatDuration(decoded.duration),
+    date: new Date().toISOString().slice(0, 10),
+    addedAt: Date.now(),
+    data
+  };
+  try { await _idbUserRequest('readwrite', store => store.put(row)); } catch (e) {
+    console.warn('Could not store user recording:', e);
+    showBanner(`${file.name} was added for this session only — it could not be saved locally`, { type: 'info' });
+  }
+
+  const bird = userBirdFrom(row);
+  _audioCachePut(bird.id, decoded);
+  userRecordings.push(bird);
+  mergeChannels();
+  return bird;
+}
+
+async function updateUserRecording(id, fields) {
+  const bird = userRecordings.find(b => b.id === id);
+  if (!bird) return;
+  const changes = {};
+  USER_FIELDS.forEach(k => { if (typeof fields[k] === 'string') changes[k] = fields[k].trim(); });
+  if (!changes.species) delete changes.species; // a channel always needs a name
+  Object.assign(bird, changes);
+  bird.en = bird.species;
+  try {
+    const row = await _idbUserRequest('readonly', store => store.get(id));
+    if (row) await _idbUserRequest('readwrite', store => store.put(Object.assign(row, changes)));
+  } catch (e) { console.warn('Could not save user recording:', e); }
+
+  applyFilters();
+  if (nowPlaying && nowPlaying.id === id) renderSpeciesInfo(bird);
+}
+
+async function removeUserRecording(id) {
+  const bird = userRecordings.find(b => b.id === id);
+  if (!bird) return;
+  if (nowPlaying && nowPlaying.id === id) {
+    if (activeTrack) stopPlay();
+    nowPlaying = null;
+    saveSession();
+    const speciesInfo = $id('speciesInfo'); if (speciesInfo) speciesInfo.classList.add('hidden');
+    renderStylePicker();
+    renderMixer();
+  }
+  try { await _idbUserRequest('readwrite', store => store.delete(id)); } catch (e) { console.warn('Could not delete user recording:', e); }
+  URL.revokeObjectURL(bird.objectUrl);
+  _audioCacheDrop(id);
+  _hookAnalysis.delete(id);
+  userRecordings = userRecordings.filter(b => b.id !== id);
+  mergeChannels();
+}
+
+async function addUserFiles(files) {
+  let last = null;
+  for (const file of Array.from(files)) {
+    try { last = (await addUserRecording(file)) || last; } catch (e) { handleError(e, { userMessage: `Could not add ${file.name}` }); }
+  }
+  if (last) selectBird(last.id);
+}
+
+function userEditFormHtml(bird) {
+  const field = (name, label) => `
+    <label class="user-edit-field">${label}
+      <input type="text" name="${name}" value="${escapeHtml(bird[name] || '')}" autocomplete="off" />
+    </label>`;
+  return `
+    <div class="user-actions">
+      <span class="bird-badge">Yours</span>
+      <button type="button" class="user-action" data-action="edit" aria-expanded="false">Edit</button>
+      <button type="button" class="user-action" data-action="remove">Remove</button>
+    </div>
+    <form class="user-edit hidden" aria-label="Edit ${escapeHtml(bird.species)}">
+      ${field('species', 'Species')}
+      ${field('loc', 'Location')}
+      ${field('recordist', 'Recordist')}
+      <div class="user-edit-actions">
+        <button type="button" class="user-action" data-action="cancel">Cancel</button>
+        <button type="submit" class="user-action primary">Save</button>
+      </div>
+    </form>`;
+}
+
+function wireUserCard(card) {
+  const id = card.getAttribute('data-id');
+  const form = card.querySelector('.user-edit');
+  const editBtn = card.querySelector('[data-action="edit"]');
+  const setEditing = (on) => {
+    form.classList.toggle('hidden', !on);
+    editBtn.setAttribute('aria-expanded', on ? 'true' : 'false');
+    if (on) form.elements.species.focus();
+  };
+  card.querySelector('.user-actions').addEventListener('click', (e) => {
+    const btn = e.target.closest('.user-action');
+    if (!btn) return;
+    if (btn.dataset.action === 'edit') setEditing(form.classList.contains('hidden'));
+    if (btn.dataset.action === 'remove') {
+      const bird = userRecordings.find(b => b.id === id);
+      if (bird && confirm(`Remove "${bird.species}" and its audio from this browser?`)) removeUserRecording(id);
+    }
+  });
+  form.addEventListener('click', (e) => { if (e.target.closest('[data-action="cancel"]')) { form.reset(); setEditing(false); } });
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const fields = {};
+    USER_FIELDS.forEach(k => { fields[k] = form.elements[k].value; });
+    updateUserRecording(id, fields);
+  });
+}
+
+/* page-wide drop target plus a file picker for keyboard users */
+function wireUserRecordingDrop() {
+  const overlay = $id('dropOverlay');
+  const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+  let depth = 0;
+  const show = (on) => { if (overlay) { overlay.classList.toggle('hidden', !on); overlay.setAttribute('aria-hidden', on ? 'false' : 'true'); } };
+
+  document.addEventListener('dragenter', (e) => { if (!hasFiles(e)) return; depth++; show(true); });
+  document.addEventListener('dragleave', (e) => { if (!hasFiles(e)) return; depth = Math.max(0, depth - 1); if (!depth) show(false); });
+  document.addEventListener('dragover', (e) => { if (hasFiles(e)) { e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; } });
+  document.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    depth = 0;
+    show(false);
+    addUserFiles(e.dataTransfer.files);
+  });
+
+  const input = $id('recordingFileInput');
+  const addBtn = $id('addRecordingBtn');
+  if (addBtn && input) addBtn.addEventListener('click', () => input.click());
+  if (input) input.addEventListener('change', () => { addUserFiles(input.files); input.value = ''; });
+}
+
 /* --- Load recordings & render --- */
 async function loadRecordings() {
+  const catalog = activeCatalog();
   try {
-    const response = await fetchWithTimeout('bird-recordings.json', { timeout:8000, retries:2, backoff:400 });
-    const data = await response.json();
+    const results = await Promise.allSettled(catalog.sources.map(fetchCatalogSource));
+    const failed = results.map((r, i) => ({ source: catalog.sources[i], reason: r.reason })).filter(f => f.reason);
+    failed.forEach(f => console.error(`Catalog source ${f.source} failed:`, f.reason));
+    if (failed.length === results.length) throw failed[0].reason;
+    const merged = mergeCatalogRecords(results.filter(r => r.status === 'fulfilled').map(r => r.value));
+
+    const report = {
+      catalog: catalog.name, total: merged.records.length, duplicates: merged.duplicates,
+      failedSources: failed.map(f => f.source), dropped: [], unplayable: [], fallbacks: [], warnings: []
+    };
+    const valid = [];
+    merged.records.forEach((rec, index) => {
+      const { errors, warnings } = validateCatalogRecord(rec);
+      if (errors.length) { report.dropped.push({ index, errors }); return; }
+      warnings.forEach(message => report.warnings.push({ id: rec.id, message }));
+      valid.push(rec);
+    });
+    const resolved = await resolveAudioFiles(valid);
 
-    recordings = data.recordings.map(bird => ({
+    catalogRecordings = valid.map((bird, i) => ({
       id: String(bird.id),
       species: bird.en,
       en: bird.en,
+      gen: bird.gen || '',
+      sp: bird.sp || '',
       region: bird.cnt,
       loc: bird.loc,
       bpmEstimate: estimateBPM(bird.length),
       recordist: bird.rec,
       tags: [bird.type, bird.q].filter(Boolean),
       soundType: bird.type || 'song',
-      fileName: `XC${bird.id}.mp3`,
+      sex: bird.sex || '',
+      quality: bird.q || '',
+      license: bird.lic || '',
+      date: bird.date || '',
+      lat: toNumberOrNull(bird.lat),
+      lon: toNumberOrNull(bird.lon),
+      alt: toNumberOrNull(bird.alt),
+      declaredFileName: bird['file-name'] || '',
+      audioCandidates: audioCandidatesFor(bird),
+      fileName: resolved[i],
+      playable: !!resolved[i],
       length: bird.length || '0:45'
     }));
+    catalogRecordings.forEach(b => {
+      if (!b.playable) report.unplayable.push(b);
+      else if (b.fileName !== b.declaredFileName) report.fallbacks.push(b);
+    });
+    reportCatalogValidation(report);
 
-    filteredRecordings = [...recordings].sort((a,b) => a.species.localeCompare(b.species));
-    renderBirdList();
+    mergeChannels();
   } catch (error) {
     console.error('Error loading recordings:', error);
-    handleError(error, { userMessage: 'Failed to load recordings — check your network or server.' });
+    handleError(error, { userMessage: `Failed to load the "${catalog.name}" catalog — check your network or server.` });
+    catalogRecordings = [];
+    recordings = userRecordings.slice();
+    filteredRecordings = [];
     const birdListEl = $id('birdList');
     if (birdListEl) {
       birdListEl.innerHTML = `
         <div class="loading">
           Error loading recordings: ${escapeHtml(error.message)}<br><br>
           Make sure:<br>
-          1. bird-recordings.json is in the same folder<br>
+          1. ${escapeHtml(catalog.sources.join(', '))} can be reached<br>
           2. You're running a local server (python -m http.server 8000)
         </div>`;
     }
   }
 }
 
+/* --- Session & deep links --- */
+/*
+  The current channel is kept in localStorage next to the filters, style overrides and mixer
+  levels (which have their own keys). The same state is mirrored into the URL hash so the
+  address bar is always a shareable link:
+
+    #/bird/920145?style=howlong&bpm=80&q=owl&country=France,Poland&mix=master:-3,drums:-6m,hook:2s
+
+  `mix` lists only parts that differ from the default: dB level, then m (mute) and/or s (solo).
+  Opening a link applies its style to that channel and pins the tempo to `bpm`; its mix plays
+  for this session without replacing the listener's saved levels.
+*/
+const SESSION_STORAGE_KEY = 'birdwave.session';
+const ONBOARD_SEEN_KEY = 'birdwave.onboardSeen';
+const BPM_OVERRIDE_RANGE = { min: 40, max: 200 };
+
+let bpmOverride = null;     // { birdId, bpm } pinned by a deep link
+let sessionReady = false;   // nothing is written back until the start-up state is restored
+
+function encodeMix(mix) {
+  const entries = [];
+  if (mix.master) entries.push(`master:${mix.master}`);
+  MIXER_PARTS.forEach(({ key }) => {
+    const p = mix.parts[key];
+    if (!p || (!p.volume && !p.mute && !p.solo)) return;
+    entries.push(`${key}:${p.volume || 0}${p.mute ? 'm' : ''}${p.solo ? 's' : ''}`);
+  });
+  return entries.join(',');
+}
+
+function decodeMix(text) {
+  const mix = defaultMix();
+  const clampDb = v => Math.min(MIXER_MAX_DB, Math.max(MIXER_MIN_DB, v));
+  String(text || '').split(',').forEach(entry => {
+    const m = /^(\w+):(-?\d+(?:\.\d+)?)([ms]*)$/.exec(entry.trim());
+    if (!m) return;
+    const db = clampDb(Number(m[2]));
+    if (m[1] === 'master') mix.master = db;
+    else if (mix.parts[m[1]]) mix.parts[m[1]] = { volume: db, mute: m[3].includes('m'), solo: m[3].includes('s') };
+  });
+  return mix;
+}
+
+function buildSessionHash({ birdId, style, bpm, key, seed, query, facets, mix }) {
+  if (!birdId) return '';
+  const params = [];
+  if (style) params.push(`style=${encodeURIComponent(style)}`);
+  if (bpm) params.push(`bpm=${Math.round(bpm)}`);
+  if (key && key.tonic !== 'bird') params.push(`key=${encodeURIComponent(Number.isInteger(key.tonic) ? NOTE_NAMES[key.tonic] : key.tonic)}`);
+  if (key && key.scale !== 'written') params.push(`scale=${encodeURIComponent(key.scale)}`);
+  if (seed != null) params.push(`seed=${formatSeed(seed)}`);
+  if (query) params.push(`q=${encodeURIComponent(query)}`);
+  FACETS.forEach(f => {
+    const vals = facets && facets[f.key];
+    if (vals && vals.length) params.push(`${f.key}=${vals.map(encodeURIComponent).join(',')}`);
+  });
+  const mixText = mix ? encodeMix(mix) : '';
+  if (mixText) params.push(`mix=${mixText}`);
+  return `#/bird/${encodeURIComponent(birdId)}${params.length ? '?' + params.join('&') : ''}`;
+}
+
+/* null unless the hash looks like #/bird/<id>[?...]; `facets`/`query` are only set when present */
+function parseSessionHash(hash) {
+  const m = /^#\/bird\/([^?]+)(?:\?(.*))?$/.exec(hash || '');
+  if (!m) return null;
+  const link = { birdId: decodeURIComponent(m[1]) };
+  (m[2] || '').split('&').filter(Boolean).forEach(pair => {
+    const i = pair.indexOf('=');
+    const key = i === -1 ? pair : pair.slice(0, i);
+    const raw = i === -1 ? '' : pair.slice(i + 1);
+    if (key === 'style') link.style = decodeURIComponent(raw);
+    else if (key === 'bpm') {
+      const bpm = Number(raw);
+      if (bpm >= BPM_OVERRIDE_RANGE.min && bpm <= BPM_OVERRIDE_RANGE.max) link.bpm = Math.round(bpm);
+    } else if (key === 'key') {
+      const value = decodeURIComponent(raw);
+      const tonic = TONIC_RE.test(value) ? pitchClassOf(value) : value;
+      link.key = { ...(link.key || {}), tonic };
+    } else if (key === 'seed') {
+      const seed = parseSeed(raw);
+      if (seed !== null) link.seed = seed;
+    } else if (key === 'scale') link.key = { ...(link.key || {}), scale: decodeURIComponent(raw) };
+    else if (key === 'q') link.query = decodeURIComponent(raw);
+    else if (key === 'mix') link.mix = decodeMix(raw);
+    else if (FACETS.some(f => f.key === key)) {
+      link.facets = link.facets || {};
+      link.facets[key] = raw.split(',').filter(Boolean).map(decodeURIComponent);
+    }
+  });
+  return link;
+}
+
+function currentSessionState() {
+  if (!nowPlaying) return { birdId: null };
+  const styleId = currentMixStyleId();
+  const playingBpm = activeTrack && activeTrack.plan && activeTrack.plan.bird === nowPlaying ? activeTrack.plan.bpm : null;
+  const playingTake = activeTrack && activeTrack.plan && activeTrack.plan.bird === nowPlaying ? activeTrack.plan.take : null;
+  return {
+    birdId: nowPlaying.id,
+    style: styleOverrides[nowPlaying.id] || null,
+    bpm: (bpmOverride && bpmOverride.birdId === nowPlaying.id) ? bpmOverride.bpm : playingBpm,
+    key: keySetting,
+    seed: playingTake ? playingTake.seed : null,
+    query: activeFilters.query.trim(),
+    facets: activeFilters.facets,
+    mix: styleId ? mixFor(styleId) : null
+  };
+}
+
+function saveSession() {
+  if (!sessionReady) return;
+  const state = currentSessionState();
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+      birdId: state.birdId,
+      bpm: bpmOverride && bpmOverride.birdId === state.birdId ? bpmOverride.bpm : null
+    }));
+  } catch (e) {}
+  const hash = buildSessionHash(state);
+  if (hash !== location.hash) {
+    try { history.replaceState(null, '', hash || location.pathname + location.search); } catch (e) {}
+  }
+}
+
+function loadSession() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+    if (saved && typeof saved.birdId === 'string') return { birdId: saved.birdId, bpm: typeof saved.bpm === 'number' ? saved.bpm : undefined };
+  } catch (e) {}
+  return null;
+}
+
+/* filters first (they decide the list), then per-channel style, mix and tempo */
+function applyLinkFilters(link) {
+  if (!link || (link.query === undefined && !link.facets)) return;
+  activeFilters = { query: link.query || '', facets: link.facets || {} };
+  saveFilterState();
+}
+
+function applyLinkChannel(link) {
+  if (!link) return;
+  if (link.style && getStyle(link.style)) setStyleOverride(link.birdId, link.style);
+  if (link.mix) {
+    const bird = recordings.find(b => b.id === link.birdId);
+    const style = bird ? resolveStyleFor(bird) : getStyle(link.style);
+    if (style) {
+      if (!(style.id in linkedMixes)) linkedMixes[style.id] = mixerState[style.id] || null;
+      mixerState[style.id] = link.mix;
+    }
+  }
+  bpmOverride = link.bpm ? { birdId: link.birdId, bpm: link.bpm } : null;
+  // the linked key is for this session; the listener's saved choice returns on the next visit
+  if (link.key) {
+    keySetting = normalizeKeySetting({ ...keySetting, ...link.key });
+    renderKeyPicker();
+  }
+  // the linked take replays for that channel (also across restarts while the page settles)
+  if (link.seed !== undefined) {
+    linkedTake = { birdId: link.birdId, seed: link.seed };
+    renderVariationPanel();
+  }
+}
+
+function onboardSeen() {
+  try { return localStorage.getItem(ONBOARD_SEEN_KEY) === '1'; } catch (e) { return false; }
+}
+
+function copyShareLink() {
+  saveSession();
+  const url = location.href;
+  const done = () => showBanner('Link to this remix copied', { type: 'info', timeout: 3000 });
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(done).catch(() => showBanner(`Copy this link: ${url}`, { type: 'info', timeout: 12000 }));
+  } else {
+    showBanner(`Copy this link: ${url}`, { type: 'info', timeout: 12000 });
+  }
+}
+
+/* --- Keyboard shortcuts & Media Session --- */
+/*
+  SHORTCUTS drives both the global keydown handler and the `?` overlay, so the list can't
+  drift from what the keys actually do. Keys are ignored while typing in a field, with a
+  modifier held, or during onboarding. Media Session mirrors nowPlaying to the OS (media
+  keys, lock screen) and routes its actions to the same functions as the buttons.
+*/
+const SHORTCUTS = [
+  { keys: ['Space'], label: 'Play / pause', run: () => togglePlayPause() },
+  { keys: ['→'], match: ['ArrowRight'], label: 'Next channel', run: () => nextTrack() },
+  { keys: ['←'], match: ['ArrowLeft'], label: 'Previous channel', run: () => previousTrack() },
+  { keys: ['F'], label: 'Fullscreen', run: () => toggleFullscreen() },
+  { keys: ['M'], label: 'Mute / unmute', run: () => toggleMute() },
+  { keys: ['1', '…', '9'], match: ['1','2','3','4','5','6','7','8','9'], label: 'Pick a style for this channel', run: (key) => pickStyleByNumber(Number(key)) },
+  { keys: ['0'], label: 'Back to the automatic style', run: () => pickStyleByNumber(0) },
+  { keys: ['/'], label: 'Search channels', run: () => focusSearch() },
+  { keys: ['?'], label: 'Show these shortcuts', run: () => toggleShortcutsOverlay() }
+];
+
+function shortcutFor(key) {
+  const k = key === ' ' ? 'Space' : (key.length === 1 ? key.toUpperCase() : key);
+  return SHORTCUTS.find(s => (s.match || s.keys).includes(k)) || null;
+}
+
+function isTypingTarget(el) {
+  if (!el || !el.tagName) return false;
+  return el.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName);
+}
+
+function handleShortcutKey(e) {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (_onboard.active) return;
+  if (e.key === 'Escape' && isShortcutsOverlayOpen()) { e.preventDefault(); toggleShortcutsOverlay(false); return; }
+  if (isTypingTarget(e.target)) return;
+  // let focused buttons and pins keep Space for themselves
+  if (e.key === ' ' && e.target.closest && e.target.closest('button, a, [role="button"]')) return;
+  const shortcut = shortcutFor(e.key);
+  if (!shortcut) return;
+  e.preventDefault();
+  try { shortcut.run(e.key); } catch (err) { console.warn('Shortcut failed:', e.key, err); }
+}
+
+function toggleFullscreen() {
+  const doc = document;
+  const el = document.documentElement;
+  if (!doc.fullscreenElement) {
+    if (el.requestFullscreen) el.requestFullscreen();
+    else if (el.webkitRequestFullscreen) el.webkitRequestFullscreen();
+  } else {
+    if (doc.exitFullscreen) doc.exitFullscreen();
+    else if (doc.webkitExitFullscreen) doc.webkitExitFullscreen();
+  }
+}
+
+function toggleMute() {
+  const muted = !Tone.Destination.mute;
+  Tone.Destination.mute = muted;
+  const srStatus = $id('srStatus');
+  if (srStatus) srStatus.textContent = muted ? 'Muted' : 'Unmuted';
+  showBanner(muted ? 'Muted — press M to unmute' : 'Unmuted', { type: 'info', timeout: 1800 });
+}
+
+function pickStyleByNumber(n) {
+  if (!nowPlaying) return;
+  if (n === 0) { handleStylePick(''); return; }
+  const style = listStyles()[n - 1];
+  if (style) handleStylePick(style.id);
+}
+
+function focusSearch() {
+  const search = $id('searchInput');
+  if (!search) return;
+  search.focus();
+  search.select();
+}
+
+function isShortcutsOverlayOpen() {
+  const overlay = $id('shortcutsOverlay');
+  return !!overlay && !overlay.classList.contains('hidden');
+}
+
+function renderShortcutsList() {
+  const list = $id('shortcutsList');
+  if (!list) return;
+  list.innerHTML = SHORTCUTS.map(s => `
+    <dt>${s.keys.map(k => k === '…' ? '…' : `<kbd>${escapeHtml(k)}</kbd>`).join(' ')}</dt>
+    <dd>${escapeHtml(s.label)}</dd>`).join('');
+}
+
+let _shortcutsReturnFocus = null;
+function toggleShortcutsOverlay(open = !isShortcutsOverlayOpen()) {
+  const overlay = $id('shortcutsOverlay');
+  if (!overlay) return;
+  if (open) {
+    _shortcutsReturnFocus = document.activeElement;
+    renderShortcutsList();
+    overlay.classList.remove('hidden');
+    overlay.setAttribute('aria-hidden', 'false');
+    const close = $id('shortcutsClose');
+    if (close) close.focus();
+  } else {
+    overlay.classList.add('hidden');
+    overlay.setAttribute('aria-hidden', 'true');
+    if (_shortcutsReturnFocus && _shortcutsReturnFocus.focus) _shortcutsReturnFocus.focus();
+    _shortcutsReturnFocus = null;
+  }
+}
+
+function wireShortcuts() {
+  document.addEventListener('keydown', handleShortcutKey);
+  const overlay = $id('shortcutsOverlay');
+  if (overlay) overlay.addEventListener('click', (e) => { if (e.target === overlay) toggleShortcutsOverlay(false); });
+  const close = $id('shortcutsClose');
+  if (close) close.addEventListener('click', () => toggleShortcutsOverlay(false));
+  const btn = $id('shortcutsBtn');
+  if (btn) btn.addEventListener('click', () => toggleShortcutsOverlay(true));
+}
+
+/* there is no per-species image, so cover art is drawn once per channel and cached */
+const _mediaArtwork = new Map();
+function mediaArtworkFor(bird) {
+  if (_mediaArtwork.has(bird.id)) return _mediaArtwork.get(bird.id);
+  let art = [];
+  try {
+    const size = 512;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const bg = ctx.createLinearGradient(0, 0, size, size);
+    bg.addColorStop(0, '#14000b');
+    bg.addColorStop(1, '#000000');
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, size, size);
+    ctx.strokeStyle = 'rgba(255,0,153,0.85)';
+    ctx.lineWidth = 6;
+    ctx.beginPath();
+    for (let x = 0; x <= size; x += 4) {
+      const y = size * 0.62 + Math.sin(x / 23) * 28 * Math.sin(x / 97);
+      if (x === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '600 44px Inter, system-ui, sans-serif';
+    ctx.fillText(bird.species.length > 20 ? `${bird.species.slice(0, 19)}…` : bird.species, 36, 120);
+    ctx.fillStyle = '#ff66aa';
+    ctx.font = '500 28px Inter, system-ui, sans-serif';
+    ctx.fillText('BIRDWAVE.fm', 36, size - 44);
+    art = [{ src: canvas.toDataURL('image/png'), sizes: `${size}x${size}`, type: 'image/png' }];
+  } catch (e) { console.warn('Artwork render failed:', e); }
+  _mediaArtwork.set(bird.id, art);
+  return art;
+}
+
+function updateMediaSession(bird = nowPlaying) {
+  if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined' || !bird) return;
+  const style = activeTrack ? getStyle(activeTrack.styleId) : resolveStyleFor(bird);
+  try {
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: bird.species,
+      artist: bird.recordist || (bird.user ? 'Own recording' : 'Unknown recordist'),
+      album: style ? `BIRDWAVE.fm · ${style.name}` : 'BIRDWAVE.fm',
+      artwork: mediaArtworkFor(bird)
+    });
+  } catch (e) { console.warn('Media Session metadata failed:', e); }
+}
+
+function setMediaSessionState(state) {
+  if (!('mediaSession' in navigator)) return;
+  try { navigator.mediaSession.playbackState = state === 'stopped' ? 'none' : state; } catch (e) {}
+}
+
+function wireMediaSession() {
+  if (!('mediaSession' in navigator)) return;
+  const actions = {
+    play: () => { if (!isPlaying) togglePlayPause(); },
+    pause: () => { if (isPlaying) pausePlay(); },
+    stop: () => stopPlay(),
+    nexttrack: () => nextTrack(),
+    previoustrack: () => previousTrack()
+  };
+  Object.entries(actions).forEach(([action, handler]) => {
+    // older browsers throw for actions they don't know
+    try { navigator.mediaSession.setActionHandler(action, handler); } catch (e) {}
+  });
+}
+
 /* --- Selection & UI wiring --- */
 async function handleBirdRowSelect(id) {
   const bird = recordings.find(b => b.id === id);
-  if (!bird) return;
+  if (!isPlayable(bird)) return;
 
   const controls = $id('controlsSection');
   if (controls) controls.classList.remove('hidden');
@@ -894,13 +4863,18 @@ async function handleBirdRowSelect(id) {
     const speciesInfo = $id('speciesInfo');
     if (speciesInfo) speciesInfo.classList.add('hidden');
 
-    if (isPlaying) stopPlay();
+    if (activeTrack) stopPlay();
+    if (bpmOverride && bpmOverride.birdId !== id) bpmOverride = null;
     nowPlaying = bird;
+    saveSession();
+    renderStylePicker();
+    renderMixer();
 
     const vidIndex = getBirdVideoIndex(bird.id);
     setVideo(vidIndex);
 
     try { await playProduction(); } catch (e) { console.warn('Auto-play after selection failed:', e); }
+    if (nowPlaying !== bird) return; // another channel was picked meanwhile
 
     markCardActive(id);
     setTimeout(() => openInlineDetailsFor(id, bird), 40);
@@ -910,15 +4884,29 @@ async function handleBirdRowSelect(id) {
 }
 
 /* --- Desktop select (fixed panel) --- */
+function renderSpeciesInfo(bird) {
+  const speciesName = $id('speciesName'); if (speciesName) speciesName.textContent = bird.species;
+  const soundType = $id('soundType'); if (soundType) soundType.textContent = bird.soundType;
+  const location = $id('location'); if (location) location.textContent = [bird.region, bird.loc].filter(Boolean).join(' • ') || '—';
+  const duration = $id('duration'); if (duration) duration.textContent = bird.length;
+  const tempo = $id('tempo'); if (tempo) tempo.textContent = formatTempo(bird);
+  renderKeyInfo(bird);
+  const recordist = $id('recordist'); if (recordist) recordist.textContent = bird.recordist || '—';
+}
+
 async function selectBird(id) {
   const bird = recordings.find(b => b.id === id);
-  if (!bird) return;
+  if (!isPlayable(bird)) return;
 
   clearAllInlineDetails();
 
-  if (isPlaying) stopPlay();
+  if (activeTrack) stopPlay();
 
+  if (bpmOverride && bpmOverride.birdId !== id) bpmOverride = null;
   nowPlaying = bird;
+  saveSession();
+  renderStylePicker();
+  renderMixer();
 
   const speciesInfo = $id('speciesInfo');
   if (speciesInfo) {
@@ -926,12 +4914,7 @@ async function selectBird(id) {
     speciesInfo.classList.add('fixed-bottom');
   }
 
-  const speciesName = $id('speciesName'); if (speciesName) speciesName.textContent = bird.species;
-  const soundType = $id('soundType'); if (soundType) soundType.textContent = bird.soundType;
-  const location = $id('location'); if (location) location.textContent = `${bird.region} • ${bird.loc}`;
-  const duration = $id('duration'); if (duration) duration.textContent = bird.length;
-  const recordist = $id('recordist'); if (recordist) recordist.textContent = bird.recordist;
-
+  renderSpeciesInfo(bird);
   markCardActive(id);
 
   const vidIndex = getBirdVideoIndex(bird.id);
@@ -943,19 +4926,20 @@ async function selectBird(id) {
   try { await playProduction(); } catch (e) { console.warn('Auto-play after selection failed:', e); }
 }
 
-/* navigation helpers */
-function nextTrack() {
-  if (!nowPlaying || filteredRecordings.length === 0) return;
-  const currentIndex = filteredRecordings.findIndex(b => b.id === nowPlaying.id);
-  const nextIndex = (currentIndex + 1) % filteredRecordings.length;
-  selectBird(filteredRecordings[nextIndex].id);
-}
-function previousTrack() {
+/* navigation helpers (page through the filtered set; a filtered-out nowPlaying restarts at the edges) */
+/* next playable channel `step` places away in the filtered list, wrapping; disabled channels are skipped */
+function stepTrack(step) {
   if (!nowPlaying || filteredRecordings.length === 0) return;
+  const n = filteredRecordings.length;
   const currentIndex = filteredRecordings.findIndex(b => b.id === nowPlaying.id);
-  const prevIndex = currentIndex === 0 ? filteredRecordings.length - 1 : currentIndex - 1;
-  selectBird(filteredRecordings[prevIndex].id);
+  let index = currentIndex === -1 ? (step > 0 ? -1 : 0) : currentIndex;
+  for (let tries = 0; tries < n; tries++) {
+    index = (index + step + n) % n;
+    if (isPlayable(filteredRecordings[index])) { selectBird(filteredRecordings[index].id); return; }
+  }
 }
+function nextTrack() { if (!(nearbyNav && nextNearby())) stepTrack(1); }
+function previousTrack() { if (!(nearbyNav && previousNearby())) stepTrack(-1); }
 
 /* fullscreen label */
 function toggleFullscreenLabel() {
@@ -1040,57 +5024,112 @@ document.addEventListener('DOMContentLoaded', async () => {
   const fullscreenBtn = $id('fullscreenBtn');
 
   if (playBtn) {
-    playBtn.addEventListener('click', async () => {
-      if (!nowPlaying) return;
-      if (isPlaying) { stopPlay(); }
-      else { await playProduction(); }
-    });
+    playBtn.addEventListener('click', togglePlayPause);
   }
   if (nextBtn) nextBtn.addEventListener('click', nextTrack);
   if (prevBtn) prevBtn.addEventListener('click', previousTrack);
+  const nearbyBtn = $id('nearbyBtn');
+  if (nearbyBtn) nearbyBtn.addEventListener('click', () => setNearbyNav(!nearbyNav));
   if (stopBtn) stopBtn.addEventListener('click', () => { stopPlay(); });
 
-  if (fullscreenBtn) {
-    fullscreenBtn.addEventListener('click', () => {
-      const doc = document;
-      const el = document.documentElement;
-      if (!doc.fullscreenElement) {
-        if (el.requestFullscreen) el.requestFullscreen();
-        else if (el.webkitRequestFullscreen) el.webkitRequestFullscreen();
-      } else {
-        if (doc.exitFullscreen) doc.exitFullscreen();
-        else if (doc.webkitExitFullscreen) doc.webkitExitFullscreen();
-      }
-    });
-  }
+  const visViewBtn = $id('visViewBtn');
+  const visSourceBtn = $id('visSourceBtn');
+  if (visViewBtn) visViewBtn.addEventListener('click', () => setVisualizerView(visualizerView === 'scope' ? 'spectrum' : 'scope'));
+  if (visSourceBtn) visSourceBtn.addEventListener('click', () => setVisualizerSource(visualizerSource === 'hook' ? 'mix' : 'hook'));
+  updateVisualizerControls();
+
+  wireExportPanel();
+  loadRadioState();
+  wireRadioPanel();
+  renderRadioPanel();
+  loadMixerState();
+  wireMixerPanel();
+  renderMixer();
+  loadTextureState();
+  wireTexturePanel();
+  renderTexturePanel();
+  loadVariationState();
+  wireVariationPanel();
+  renderVariationPanel();
+  loadGrooveState();
+  wireGroovePanel();
+  renderGroovePanel();
+  wireSequencerPanel();
+  renderSequencer();
+
+  const stylePicker = $id('stylePicker');
+  if (stylePicker) stylePicker.addEventListener('change', () => handleStylePick(stylePicker.value));
+  loadStyleOverrides();
+  renderStylePicker();
+
+  const keyPicker = $id('keyPicker');
+  const scalePicker = $id('scalePicker');
+  if (keyPicker) keyPicker.addEventListener('change', () => handleKeyPick({ tonic: /^\d+$/.test(keyPicker.value) ? Number(keyPicker.value) : keyPicker.value }));
+  if (scalePicker) scalePicker.addEventListener('change', () => handleKeyPick({ scale: scalePicker.value }));
+  loadKeySetting();
+  renderKeyPicker();
+
+  if (fullscreenBtn) fullscreenBtn.addEventListener('click', toggleFullscreen);
 
   document.addEventListener('fullscreenchange', toggleFullscreenLabel);
   toggleFullscreenLabel();
-
+  wireShortcuts();
+  wireMediaSession();
+
+  const link = parseSessionHash(location.hash);
+  loadFilterState();
+  applyLinkFilters(link);
+  wireFilterBar();
+  loadViewState();
+  setNearbyNav(nearbyNav);
+  const listViewBtn = $id('listViewBtn');
+  const mapViewBtn = $id('mapViewBtn');
+  if (listViewBtn) listViewBtn.addEventListener('click', () => setChannelView('list'));
+  if (mapViewBtn) mapViewBtn.addEventListener('click', () => setChannelView('map'));
+  setChannelView(channelView);
+  const catalogPicker = $id('catalogPicker');
+  if (catalogPicker) catalogPicker.addEventListener('change', () => switchCatalog(catalogPicker.value));
+
+  await loadArrangements();
+  renderStylePicker();
+  await loadCatalogManifest();
+  renderCatalogPicker();
+  wireUserRecordingDrop();
+  await loadUserRecordings();
+  await loadDrumKits();
+  renderGroovePanel();
   await loadRecordings();
 
+  // deep link first, then the channel from last time, then the top of the list
+  const session = link || loadSession();
+  applyLinkChannel(session);
+  const restored = session && recordings.find(b => b.id === session.birdId);
+  sessionReady = true;
+
+  const shareBtn = $id('shareBtn');
+  if (shareBtn) shareBtn.addEventListener('click', copyShareLink);
+  window.addEventListener('hashchange', () => {
+    const next = parseSessionHash(location.hash);
+    if (!next) return;
+    applyLinkFilters(next);
+    if (next.query !== undefined || next.facets) applyFilters();
+    applyLinkChannel(next);
+    if (isPlayable(recordings.find(b => b.id === next.birdId))) selectBird(next.birdId);
+  });
+
   try {
-    if (filteredRecordings && filteredRecordings.length > 0) {
-      const first = filteredRecordings[0];
-
-      setTimeout(async () => {
-        try {
-          selectBird(first.id);
-        } catch (e) {
-          console.warn('Autoload select failed:', e);
-        }
+    const first = isPlayable(restored) ? restored : filteredRecordings.find(isPlayable);
+    if (first) {
+      // autoload yields to anything the listener picked first; until the audio context is
+      // unlocked its play request waits in Tone.start(), and the first Play press starts it
+      setTimeout(() => {
+        if (nowPlaying || playRequest) return;
+        selectBird(first.id).catch(e => console.warn('Autoload select failed:', e));
       }, 2000);
 
-      setTimeout(async () => {
-        try {
-          if (!nowPlaying) nowPlaying = first;
-          await playProduction().catch(err => { console.warn('Autoplay attempt failed:', err); });
-          // show minimal onboarding: choose channel -> play/pause
-          try { showOnboard(); } catch (e) { console.warn('Onboard show failed:', e); }
-        } catch (err) {
-          console.warn('Timed autoplay/onboard error:', err);
-          try { showOnboard(); } catch(e) {}
-        }
+      // show minimal onboarding once: choose channel -> play/pause
+      setTimeout(() => {
+        if (!onboardSeen()) { try { showOnboard(); } catch (e) { console.warn('Onboard show failed:', e); } }
       }, 7000);
     }
   } catch (e) {
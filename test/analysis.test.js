@@ -0,0 +1,190 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  mixToMono, detectOnsets, estimatePitch, analyzeHookSlices,
+  BIRD_KIT_SHAPES, spectralShape, analyzeBirdKit,
+  LOFI_BPM_MIN, LOFI_BPM_MAX, foldBpm, detectTempo
+} = require('../analysis.js');
+const { audioBufferFrom, bundledMp3s, decodeBundledMp3 } = require('./helpers/audio.js');
+
+const SR = 44100;
+const midiOf = (freq) => 69 + 12 * Math.log2(freq / 440);
+
+/* short enveloped tone bursts at `times`, over a little deterministic noise */
+function chirps(times, freq, seconds = 3) {
+  const data = new Float32Array(seconds * SR);
+  let seed = 1;
+  for (let i = 0; i < data.length; i++) { seed = (seed * 16807) % 2147483647; data[i] = (seed / 2147483647 - 0.5) * 0.002; }
+  times.forEach(t => {
+    const start = Math.round(t * SR);
+    for (let i = 0; i < 0.25 * SR; i++) data[start + i] += 0.6 * Math.sin(2 * Math.PI * freq * i / SR) * Math.exp(-i / (0.03 * SR));
+  });
+  return data;
+}
+
+test('estimatePitch finds the fundamental of a steady tone', () => {
+  [880, 2637, 4186].forEach(freq => {
+    const data = new Float32Array(SR / 4).map((_, i) => 0.5 * Math.sin(2 * Math.PI * freq * i / SR));
+    const pitch = estimatePitch(data, SR, 0);
+    assert.ok(pitch, `${freq} Hz should be voiced`);
+    assert.ok(Math.abs(pitch.midi - midiOf(freq)) < 0.15, `${freq} Hz read as MIDI ${pitch.midi}`);
+    assert.ok(pitch.clarity > 0.9);
+  });
+});
+
+test('estimatePitch returns null for noise', () => {
+  let seed = 7;
+  const data = new Float32Array(4096).map(() => { seed = (seed * 16807) % 2147483647; return seed / 2147483647 - 0.5; });
+  assert.equal(estimatePitch(data, SR, 0), null);
+});
+
+test('detectOnsets places each chirp within a frame of its start', () => {
+  const times = [0.4, 1.1, 1.9, 2.5];
+  const { onsets } = detectOnsets(chirps(times, 3000), SR);
+  assert.equal(onsets.length, times.length);
+  // onset times mark the start of the detecting frame (1024 samples), so they may run early
+  onsets.forEach((o, i) => assert.ok(o.time <= times[i] + 0.012 && o.time >= times[i] - 0.035, `onset ${o.time} for ${times[i]}`));
+});
+
+test('analyzeHookSlices picks pitched, well-separated slices in time order', () => {
+  const data = chirps([0.3, 0.5, 1.2, 2.2], 2637);
+  const slices = analyzeHookSlices(audioBufferFrom([data], SR), { count: 4, minSpacing: 0.6 });
+  assert.deepEqual(slices.map(s => s.time), slices.map(s => s.time).slice().sort((a, b) => a - b));
+  assert.equal(slices.length, 3); // 0.3 and 0.5 are too close to both be kept
+  slices.forEach(s => assert.ok(Math.abs(s.midi - midiOf(2637)) < 0.3, `slice at ${s.time} read as MIDI ${s.midi}`));
+});
+
+test('bundled recordings: onsets and pitched hook slices', async (t) => {
+  let pitched = 0;
+  for (const file of bundledMp3s()) {
+    await t.test(file, async () => {
+      const buffer = await decodeBundledMp3(file);
+      const mono = mixToMono(buffer, 120);
+      const { onsets } = detectOnsets(mono, buffer.sampleRate);
+      assert.ok(onsets.length >= 1, 'no onsets');
+      onsets.forEach((o, i) => {
+        assert.ok(o.time >= 0 && o.time < buffer.duration);
+        if (i) assert.ok(o.time - onsets[i - 1].time >= 0.08 - 1e-9, 'onsets closer than minGap');
+      });
+
+      const slices = analyzeHookSlices(buffer);
+      assert.ok(slices.length >= 1 && slices.length <= 4);
+      slices.forEach((s, i) => {
+        if (i) assert.ok(s.time - slices[i - 1].time >= 0.6, 'slices closer than minSpacing');
+        assert.ok(onsets.some(o => Math.abs(o.time - 0.005 - s.time) < 1e-6 || (o.time < 0.005 && s.time === 0)), `slice ${s.time} is not on an onset`);
+        if (s.midi === null) return;
+        pitched++;
+        assert.ok(s.midi >= midiOf(150) && s.midi <= midiOf(10000), `MIDI ${s.midi} outside the search range`);
+      });
+    });
+  }
+  assert.ok(pitched >= 20, `only ${pitched} pitched slices across the bundled recordings`);
+});
+
+test('XC920145 (great tit) keeps its hook slices', async () => {
+  const slices = analyzeHookSlices(await decodeBundledMp3('XC920145.mp3'));
+  const expected = [[0.58, 101.5], [1.74, 100.7], [2.66, 112.6], [3.54, 100.8]];
+  assert.equal(slices.length, expected.length);
+  slices.forEach((s, i) => {
+    assert.ok(Math.abs(s.time - expected[i][0]) < 0.01, `slice ${i} at ${s.time}`);
+    assert.ok(Math.abs(s.midi - expected[i][1]) < 0.1, `slice ${i} at MIDI ${s.midi}`);
+  });
+});
+
+/* a decaying burst of `wave(i)` added at `time` */
+function addBurst(data, time, wave, gain, seconds = 0.15) {
+  const start = Math.round(time * SR);
+  for (let i = 0; i < seconds * SR; i++) data[start + i] += gain * wave(i) * Math.exp(-i / (0.04 * SR));
+}
+
+function checkKitVoices(kit, sampleRate) {
+  assert.deepEqual(Object.keys(kit.voices).sort(), ['hat', 'kick', 'snare']);
+  Object.entries(kit.voices).forEach(([voice, { data }]) => {
+    const shape = BIRD_KIT_SHAPES[voice];
+    assert.equal(data.length, Math.floor(shape.length / shape.rate * sampleRate), `${voice} length`);
+    const peak = data.reduce((m, x) => Math.max(m, Math.abs(x)), 0);
+    assert.ok(Math.abs(peak - 0.9) < 1e-6, `${voice} peaks at ${peak}`);
+  });
+}
+
+test('analyzeBirdKit takes the hat from the brightest onset, the snare from the noisiest, the kick from the loudest', () => {
+  const data = new Float32Array(3 * SR);
+  let seed = 3;
+  const noise = () => { seed = (seed * 16807) % 2147483647; return seed / 2147483647 * 2 - 1; };
+  addBurst(data, 0.5, i => Math.sin(2 * Math.PI * 1000 * i / SR), 0.8);  // loud, tonal, low
+  addBurst(data, 1.2, noise, 0.25);                                      // flat spectrum
+  addBurst(data, 1.9, i => Math.sin(2 * Math.PI * 15000 * i / SR), 0.25); // brightest
+  const kit = analyzeBirdKit(audioBufferFrom([data], SR));
+
+  assert.equal(kit.sampleRate, SR);
+  const expected = { kick: 0.5, snare: 1.2, hat: 1.9 };
+  Object.entries(expected).forEach(([voice, time]) => {
+    // the attack is found within a frame of the onset and backed off 32 samples
+    assert.ok(Math.abs(kit.voices[voice].time - time) < 0.005, `${voice} cut at ${kit.voices[voice].time}, burst at ${time}`);
+  });
+  checkKitVoices(kit, SR);
+});
+
+test('analyzeBirdKit returns null for a recording without onsets', () => {
+  assert.equal(analyzeBirdKit(audioBufferFrom([new Float32Array(2 * SR)], SR)), null);
+});
+
+test('bundled recordings: a full bird kit, hat from the brightest pick', async (t) => {
+  for (const file of bundledMp3s()) {
+    await t.test(file, async () => {
+      const buffer = await decodeBundledMp3(file);
+      const kit = analyzeBirdKit(buffer);
+      assert.ok(kit, 'no kit');
+      checkKitVoices(kit, buffer.sampleRate);
+      const mono = mixToMono(buffer, 120);
+      const centroid = (voice) => spectralShape(mono, buffer.sampleRate, Math.round(kit.voices[voice].time * buffer.sampleRate)).centroid;
+      assert.ok(centroid('hat') >= centroid('snare') && centroid('hat') >= centroid('kick'), `${file}: hat is not the brightest`);
+    });
+  }
+});
+
+test('foldBpm moves a rate by octaves to the nearest fit for the lofi range', () => {
+  assert.equal(foldBpm(80), 80);
+  assert.equal(foldBpm(40), 80);
+  assert.equal(foldBpm(300), 75);
+  // 95–130 has no octave inside 65–95: keep whichever is closer by ratio, never a range edge
+  assert.equal(foldBpm(110), 110);
+  assert.equal(foldBpm(240), 60);
+  assert.equal(foldBpm(125), 62.5);
+  assert.equal(foldBpm(0), null);
+  assert.equal(foldBpm(NaN), null);
+});
+
+test('detectTempo finds the rate of a pulse train', () => {
+  [75, 110, 120].forEach(rate => {
+    const period = 60 / rate;
+    const times = Array.from({ length: Math.floor(19 / period) }, (_, i) => 0.2 + i * period);
+    const tempo = detectTempo(audioBufferFrom([chirps(times, 3000, 20)], SR));
+    assert.ok(Math.abs(tempo.period - period) < 0.01, `${rate} BPM pulses read as a ${tempo.period} s period`);
+    assert.equal(tempo.bpm, Math.round(foldBpm(rate)));
+    assert.ok(tempo.confidence >= 0.3, `${rate} BPM confidence ${tempo.confidence}`);
+  });
+});
+
+test('bundled recordings: tempo stays near the lofi range', async (t) => {
+  // the farthest an octave fold can land from a range narrower than an octave
+  const spread = Math.sqrt(2 * LOFI_BPM_MIN / LOFI_BPM_MAX);
+  for (const file of bundledMp3s()) {
+    await t.test(file, async () => {
+      const tempo = detectTempo(await decodeBundledMp3(file));
+      assert.ok(tempo.confidence >= 0 && tempo.confidence <= 1);
+      if (tempo.bpm === null) return;
+      assert.ok(tempo.period > 0.24 && tempo.period < 4.01, `period ${tempo.period}`);
+      assert.equal(tempo.bpm, Math.round(foldBpm(60 / tempo.period)));
+      assert.ok(tempo.bpm >= LOFI_BPM_MIN / spread && tempo.bpm <= LOFI_BPM_MAX * spread, `${tempo.bpm} BPM`);
+    });
+  }
+});
+
+test('XC920145 and XC895230 keep their detected tempos', async () => {
+  const greatTit = detectTempo(await decodeBundledMp3('XC920145.mp3'));
+  const blackbird = detectTempo(await decodeBundledMp3('XC895230.mp3'));
+  assert.deepEqual([greatTit.bpm, blackbird.bpm], [103, 95]);
+  assert.ok(greatTit.confidence >= 0.3 && blackbird.confidence >= 0.3);
+});
@@ -0,0 +1,145 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { loadPage } = require('./helpers/page.js');
+
+const ROOT = path.join(__dirname, '..');
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+const ids = (records) => records.map(r => r.id);
+
+/*
+  A local stand-in for the catalog server: the repo's files are served as they are, plus any
+  added to `files` (path -> body), and /api/recordings answers like the xeno-canto API, paging
+  the bundled recordings 3 at a time over `numPages` pages (page N repeats them with ids
+  suffixed "-pN").
+*/
+function startServer() {
+  const requests = [];
+  const files = new Map();
+  const recorded = readJson('bird-recordings.json').recordings.slice(0, 3);
+  let numPages = 1;
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+    let body;
+    if (files.has(url.pathname)) {
+      body = files.get(url.pathname);
+    } else if (url.pathname === '/api/recordings') {
+      const page = Number(url.searchParams.get('page') || 1);
+      const recordings = recorded.map(r => ({ ...r, id: `${r.id}-p${page}` }));
+      body = JSON.stringify({ numRecordings: String(numPages * recorded.length), page, numPages, recordings });
+    } else {
+      const file = path.join(ROOT, decodeURIComponent(url.pathname));
+      if (!file.startsWith(ROOT) || !fs.existsSync(file)) { res.writeHead(404).end(); return; }
+      body = fs.readFileSync(file);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(body);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const base = `http://127.0.0.1:${server.address().port}/`;
+    resolve({ base, requests, files, setPages: (n) => { numPages = n; }, close: () => new Promise(r => server.close(r)) });
+  }));
+}
+
+function openPage(server, warnings = []) {
+  return loadPage({
+    href: server.base,
+    // the browser resolves relative URLs against the page; Node's fetch needs them absolute
+    fetch: (url, options) => fetch(new URL(url, server.base), options),
+    console: { ...console, warn: (...args) => warnings.push(args.join(' ')) }
+  });
+}
+
+test('audio file resolution remembers finds only', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const page = openPage(server);
+  const records = [
+    { id: '720456', 'file-name': 'XC720456.mp3' },
+    { id: '1', 'file-name': 'XC1.mp3' }
+  ];
+  const resolve = async () => {
+    server.requests.length = 0;
+    const resolved = await page.run(`resolveAudioFiles(${JSON.stringify(records)})`);
+    // records are probed in parallel, so only the set of requests is stable
+    return { resolved: [...resolved], probed: server.requests.map(r => r.replace('/audio/', '')).sort() };
+  };
+
+  assert.deepEqual(await resolve(), { resolved: ['XC720456.mp3', null], probed: ['XC1.mp3', 'XC1.ogg', 'XC1.wav', 'XC720456.mp3'] });
+
+  // the missing recording is uploaded as WAV: only that record is probed again
+  server.files.set('/audio/XC1.wav', Buffer.alloc(44));
+  assert.deepEqual(await resolve(), { resolved: ['XC720456.mp3', 'XC1.wav'], probed: ['XC1.mp3', 'XC1.wav'] });
+  assert.deepEqual(await resolve(), { resolved: ['XC720456.mp3', 'XC1.wav'], probed: [] });
+
+  // a remembered file that fails to download is probed again next time
+  page.run(`forgetResolvedAudio('XC1.wav')`);
+  server.files.delete('/audio/XC1.wav');
+  assert.deepEqual(await resolve(), { resolved: ['XC720456.mp3', null], probed: ['XC1.mp3', 'XC1.ogg', 'XC1.wav'] });
+});
+
+test('catalog sources against a local server', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const warnings = [];
+  const page = openPage(server, warnings);
+  const fetchSource = async (url) => {
+    server.requests.length = 0;
+    warnings.length = 0;
+    return JSON.parse(await page.run(`fetchCatalogSource(${JSON.stringify(url)}).then(JSON.stringify)`));
+  };
+
+  await t.test('"{page}" in the URL is replaced with each page number', async () => {
+    const records = await fetchSource('catalogs/morning-chorus-p{page}.json');
+    assert.deepEqual(server.requests, ['/catalogs/morning-chorus-p1.json', '/catalogs/morning-chorus-p2.json']);
+    assert.deepEqual(ids(records), [
+      ...ids(readJson('catalogs/morning-chorus-p1.json').recordings),
+      ...ids(readJson('catalogs/morning-chorus-p2.json').recordings)
+    ]);
+  });
+
+  await t.test('without "{page}" the page query parameter is set from page 2 on', async () => {
+    server.setPages(3);
+    const records = await fetchSource('api/recordings?query=cnt:sweden');
+    assert.deepEqual(server.requests, [
+      '/api/recordings?query=cnt:sweden',
+      '/api/recordings?query=cnt%3Asweden&page=2',
+      '/api/recordings?query=cnt%3Asweden&page=3'
+    ]);
+    assert.equal(records.length, 9);
+    assert.deepEqual(records.map(r => r.id.split('-')[1]), ['p1', 'p1', 'p1', 'p2', 'p2', 'p2', 'p3', 'p3', 'p3']);
+    assert.deepEqual(warnings, []);
+  });
+
+  await t.test(`paging stops after CATALOG_MAX_PAGES (${page.run('CATALOG_MAX_PAGES')}) pages`, async () => {
+    const max = page.run('CATALOG_MAX_PAGES');
+    assert.equal(max, 25);
+    server.setPages(40);
+    const records = await fetchSource('api/recordings');
+    assert.equal(server.requests.length, max);
+    assert.equal(server.requests.at(-1), `/api/recordings?page=${max}`);
+    assert.equal(records.length, 3 * max);
+    assert.deepEqual(warnings, [`api/recordings: stopped after ${max} of 40 pages`]);
+  });
+
+  await t.test('a source without a recordings array is an error', async () => {
+    await assert.rejects(fetchSource('catalogs/index.json'), /no "recordings" array/);
+  });
+
+  await t.test('merged sources keep the first record per id and pass unkeyed records through', async () => {
+    const us = await fetchSource('catalogs/united-states.json');
+    const canada = await fetchSource('catalogs/canada.json');
+    const lists = [us, canada, [{ ...us[0], en: 'Later copy' }, { en: 'No id' }, { id: 660789, en: 'Numeric id' }]];
+    const merged = JSON.parse(page.run(`JSON.stringify(mergeCatalogRecords(${JSON.stringify(lists)}))`));
+
+    assert.deepEqual(ids(merged.records), [...ids(us), ...ids(canada), undefined]);
+    assert.equal(merged.duplicates, 2);
+    assert.equal(merged.records[0].en, us[0].en);
+    assert.equal(merged.records.find(r => r.id === '660789').en, canada[0].en);
+    assert.deepEqual(merged.records.at(-1), { en: 'No id' });
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPlayer } = require('./helpers/page.js');
+
+const BIRD = {
+  id: '720456', species: 'Test Warbler', gen: 'Testus', sp: 'cantor', recordist: 'A. Recordist',
+  license: 'CC BY-NC-SA 4.0', date: '2024-05-01', fileName: 'XC720456.mp3', playable: true, length: '0:20', bpmEstimate: 90
+};
+
+/* walks the RIFF chunks of a WAV file; every chunk is id, little-endian size, body, pad byte if odd */
+function readWav(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const id = (o) => bytes.toString('latin1', o, o + 4);
+  assert.equal(id(0), 'RIFF');
+  assert.equal(view.getUint32(4, true), bytes.length - 8, 'RIFF size');
+  assert.equal(id(8), 'WAVE');
+  const chunks = [];
+  for (let o = 12; o < bytes.length;) {
+    const size = view.getUint32(o + 4, true);
+    chunks.push({ id: id(o), offset: o + 8, size });
+    o += 8 + size + (size % 2);
+    assert.ok(o <= bytes.length, `chunk ${id(o - 8 - size - (size % 2))} overruns the file`);
+  }
+  return { view, id, chunks };
+}
+
+async function renderedPage() {
+  const page = loadPlayer([BIRD], { sampleRate: 22050 });
+  page.run('variation.on = false');
+  await page.run('prepareProduction(recordings[0]).then(plan => { globalThis.plan = plan; })');
+  return page;
+}
+
+test('rendering the same plan twice gives the same WAV bytes', async () => {
+  const page = await renderedPage();
+  const render = () => page.run(`
+    renderProduction(plan, { bars: 2, sampleRate: 22050, textureParams: { ...texture, crackle: 0, reverbMix: 0 } })
+      .then(buffer => encodeWav(buffer, { metadata: wavMetadataFor(plan) }))
+  `);
+  const first = Buffer.from(await render());
+  const second = Buffer.from(await render());
+
+  assert.equal(page.run('plan.take'), null);
+  assert.ok(first.length > 44);
+  assert.ok(first.equals(second), 'renders differ');
+  const { chunks } = readWav(first);
+  const data = chunks.find(c => c.id === 'data');
+  assert.ok(first.subarray(data.offset, data.offset + data.size).some(b => b !== 0), 'render is silent');
+  assert.equal(page.run('liveScopes.size'), 0, 'render scopes are disposed');
+  assert.equal(page.undisposedToneNodes(), 0, 'render nodes are disposed');
+});
+
+for (const bitDepth of [16, 24]) {
+  test(`${bitDepth}-bit WAV layout: RIFF, fmt, LIST/INFO, data`, async () => {
+    const page = await renderedPage();
+    const frames = 5;
+    const metadata = page.run('wavMetadataFor(plan)');
+    const wav = Buffer.from(page.run(`
+      encodeWav({ numberOfChannels: 2, length: ${frames}, sampleRate: 22050, getChannelData: ch => new Float32Array([0, 0.5, -0.5, 1, -1]) },
+        { bitDepth: ${bitDepth}, metadata: wavMetadataFor(plan) })
+    `));
+    const { view, id, chunks } = readWav(wav);
+    const blockAlign = 2 * bitDepth / 8;
+
+    assert.deepEqual(chunks.map(c => c.id), ['fmt ', 'LIST', 'data']);
+    const [fmt, list, data] = chunks;
+    assert.equal(fmt.offset, 20);
+    assert.equal(fmt.size, 16);
+    assert.deepEqual(
+      [view.getUint16(20, true), view.getUint16(22, true), view.getUint32(24, true), view.getUint32(28, true), view.getUint16(32, true), view.getUint16(34, true)],
+      [1, 2, 22050, 22050 * blockAlign, blockAlign, bitDepth]
+    );
+
+    assert.equal(id(list.offset), 'INFO');
+    const entries = [];
+    for (let o = list.offset + 4; o < list.offset + list.size;) {
+      const size = view.getUint32(o + 4, true);
+      const text = wav.subarray(o + 8, o + 8 + size);
+      assert.equal(text[size - 1], 0, `${id(o)} is NUL-terminated`);
+      if (size % 2) assert.equal(wav[o + 8 + size], 0, `${id(o)} pad byte`);
+      entries.push([id(o), text.subarray(0, size - 1).toString('utf8')]);
+      o += 8 + size + (size % 2);
+    }
+    assert.deepEqual(entries, Object.entries(metadata).filter(([, v]) => v));
+    assert.deepEqual(entries.map(([key]) => key), ['INAM', 'IART', 'ISBJ', 'ICMT', 'ICOP', 'ICRD', 'ISFT']);
+    assert.equal(metadata.ISBJ, 'Test Warbler · Testus cantor');
+    assert.doesNotMatch(metadata.ICMT, /seed/);
+
+    assert.equal(data.size, frames * blockAlign);
+    assert.equal(data.offset + data.size, wav.length);
+    const samples = [];
+    for (let i = 0; i < frames; i++) {
+      const o = data.offset + i * blockAlign;
+      samples.push(bitDepth === 16 ? view.getInt16(o, true) : wav.readIntLE(o, 3));
+    }
+    const max = bitDepth === 16 ? 0x7FFF : 0x7FFFFF;
+    assert.deepEqual(samples, [0, Math.round(max / 2), Math.round(-max / 2), max, -max]);
+  });
+}
@@ -0,0 +1,48 @@
+/* Decodes bundled recordings into AudioBuffer-shaped objects, the same shape the page gets
+   from decodeAudioData(), so analysis.js sees identical input in Node and in the browser. */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+const AUDIO_DIR = path.join(__dirname, '..', '..', 'audio');
+
+function audioBufferFrom(channelData, sampleRate, length = channelData[0].length) {
+  return {
+    sampleRate,
+    length,
+    duration: length / sampleRate,
+    numberOfChannels: channelData.length,
+    getChannelData: (ch) => channelData[ch]
+  };
+}
+
+/* a fetch() response for a bundled recording, whatever directory the page asks for it in */
+function servedAudio(url) {
+  const bytes = fs.readFileSync(path.join(AUDIO_DIR, path.basename(String(url))));
+  return { ok: true, status: 200, arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) };
+}
+
+function bundledMp3s() {
+  return fs.readdirSync(AUDIO_DIR).filter(f => f.endsWith('.mp3')).sort();
+}
+
+/* decoded once per test process; several test files walk all of them */
+const _decoded = new Map();
+function decodeBundledMp3(fileName) {
+  if (!_decoded.has(fileName)) _decoded.set(fileName, decodeMp3(fs.readFileSync(path.join(AUDIO_DIR, fileName))));
+  return _decoded.get(fileName);
+}
+
+async function decodeMp3(bytes) {
+  const { MPEGDecoder } = await import('mpg123-decoder');
+  const decoder = new MPEGDecoder();
+  await decoder.ready;
+  try {
+    const { channelData, samplesDecoded, sampleRate } = decoder.decode(new Uint8Array(bytes));
+    return audioBufferFrom(channelData, sampleRate, samplesDecoded);
+  } finally {
+    decoder.free();
+  }
+}
+
+module.exports = { AUDIO_DIR, audioBufferFrom, servedAudio, bundledMp3s, decodeBundledMp3, decodeMp3 };
@@ -0,0 +1,192 @@
+/* A stand-in for the slice of Tone.js the engine uses, for tests in Node (no Web Audio).
+   Nodes accept any property or method and chain. The fake counts every node it makes that
+   hasn't been disposed yet (undisposedCount), whoever made it, so a leak shows up even when
+   the engine forgot to register the node. The only other real behaviour is timing: Loops are
+   collected per context, and Tone.Offline() steps through them and turns each instrument
+   trigger into a short decaying sine, so a render is a pure function of what the engine
+   scheduled. */
+'use strict';
+const { audioBufferFrom } = require('./audio.js');
+
+const PPQ = 192;
+const NOTE_RE = /^([A-G])(#|b)?(-?\d)$/;
+const SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+function noteFrequency(value) {
+  if (typeof value === 'number') return value;
+  const m = NOTE_RE.exec(Array.isArray(value) ? value[0] : value);
+  if (!m) return 1000; // noise voices
+  const midi = 12 * (Number(m[3]) + 1) + SEMITONES[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0);
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/* '16n', '2n', '1m', '4n.' or seconds */
+function toSeconds(time, bpm) {
+  if (typeof time === 'number') return time;
+  const m = /^(\d+)([nm])(\.?)$/.exec(String(time));
+  if (!m) throw new Error(`fake Tone: unsupported time "${time}"`);
+  const beats = (m[2] === 'm' ? 4 * Number(m[1]) : 4 / Number(m[1])) * (m[3] ? 1.5 : 1);
+  return beats * 60 / bpm;
+}
+
+function createFakeTone({ sampleRate = 44100, decodeAudioData = null, suspended = false } = {}) {
+  const rawContext = (rate) => ({
+    sampleRate: rate,
+    createBuffer: (channels, length, sr) => {
+      const data = Array.from({ length: channels }, () => new Float32Array(length));
+      return { ...audioBufferFrom(data, sr, length), copyToChannel: (src, ch) => data[ch].set(src) };
+    },
+    decodeAudioData: async (bytes) => {
+      if (!decodeAudioData) throw new Error('fake Tone: no decoder');
+      return decodeAudioData(bytes);
+    }
+  });
+  const createTransport = () => ({
+    PPQ,
+    state: 'stopped',
+    ticks: 0,
+    bpm: node('bpm', { value: 120 }),
+    getTicksAtTime(time) { return Math.floor(time * this.bpm.value / 60 * PPQ); },
+    start() { this.state = 'started'; return this; },
+    stop() { this.state = 'stopped'; return this; },
+    pause() { this.state = 'paused'; return this; },
+    cancel() { return this; },
+    clear() { return this; },
+    scheduleOnce() { return 0; }
+  });
+  const createContext = (rate) => ({
+    sampleRate: rate,
+    rawContext: rawContext(rate),
+    transport: createTransport(),
+    loops: [],
+    events: [],
+    currentTime: 0,
+    state: 'running'
+  });
+
+  const live = createContext(sampleRate);
+  let current = live;
+  // like a browser's autoplay policy: a suspended context only starts inside a user gesture,
+  // and Tone.start() calls made before then wait for it
+  if (suspended) live.state = 'suspended';
+  let inGesture = false;
+  const waitingForStart = [];
+  function gesture(fn) {
+    inGesture = true;
+    try { return fn(); } finally { inGesture = false; }
+  }
+  // every node made with `new Tone.X()` (and every Loop) until its dispose() is called
+  const undisposed = new Set();
+
+  /* any property is another node and calling one returns its owner, so `a.b.c(…).d` all work */
+  function node(label, props = {}, owner = null, method = null) {
+    const target = function () {};
+    Object.assign(target, { state: 'stopped', ready: Promise.resolve(), loaded: true }, props);
+    const self = new Proxy(target, {
+      get(t, key) {
+        if (key === 'then' || key === 'toJSON') return undefined;
+        if (key === Symbol.toPrimitive) return () => (typeof t.value === 'number' ? t.value : 0);
+        if (key === 'context') return current;
+        if (!(key in t)) t[key] = node(label, {}, self, String(key));
+        return t[key];
+      },
+      apply(fn, thisArg, args) {
+        if (method === 'dispose') undisposed.delete(owner);
+        else if (method) record(label, method, args);
+        return owner || self;
+      }
+    });
+    return self;
+  }
+
+  function record(label, method, args) {
+    if (method === 'start' && label === 'Player' && typeof args[0] === 'number') {
+      current.events.push({ label, time: args[0], frequency: 2000, velocity: 1 });
+      return;
+    }
+    if (method !== 'triggerAttackRelease' && method !== 'triggerAttack') return;
+    const at = args.findIndex((a, i) => i > 0 && typeof a === 'number');
+    if (at === -1) return;
+    const velocity = typeof args[at + 1] === 'number' ? args[at + 1] : 1;
+    current.events.push({ label, time: args[at], frequency: noteFrequency(args[0]), velocity });
+  }
+
+  class Loop {
+    constructor(callback, interval) {
+      Object.assign(this, { callback, interval, state: 'stopped' });
+      this.owner = current;
+      undisposed.add(this);
+    }
+    start() { this.state = 'started'; this.owner.loops.push(this); return this; }
+    stop() { this.state = 'stopped'; return this; }
+    dispose() { this.state = 'stopped'; undisposed.delete(this); }
+  }
+
+  /* every loop tick in time order (creation order breaks ties), then one sine burst per trigger */
+  function render(ctx, duration, channels, rate) {
+    const bpm = ctx.transport.bpm.value;
+    const ticks = [];
+    ctx.loops.forEach((loop, order) => {
+      const step = toSeconds(loop.interval, bpm);
+      for (let i = 0; i * step < duration; i++) ticks.push({ time: i * step, order, loop });
+    });
+    ticks.sort((a, b) => a.time - b.time || a.order - b.order);
+    ticks.forEach(t => { if (t.loop.state === 'started') t.loop.callback(t.time); });
+
+    const length = Math.round(duration * rate);
+    const data = Array.from({ length: channels }, () => new Float32Array(length));
+    const burst = Math.round(0.02 * rate);
+    ctx.events.forEach(e => {
+      const start = Math.round(e.time * rate);
+      for (let i = 0; i < burst && start + i < length; i++) {
+        if (start + i < 0) continue;
+        const v = 0.2 * e.velocity * Math.exp(-i / (burst / 4)) * Math.sin(2 * Math.PI * e.frequency * i / rate);
+        data.forEach(ch => { ch[start + i] += v; });
+      }
+    });
+    return audioBufferFrom(data, rate, length);
+  }
+
+  const Tone = new Proxy({
+    Loop,
+    get Transport() { return live.transport; },
+    get context() { return current; },
+    getContext: () => current,
+    now: () => 0,
+    start() {
+      if (live.state !== 'running' && inGesture) {
+        live.state = 'running';
+        waitingForStart.splice(0).forEach(resolve => resolve());
+      }
+      return live.state === 'running' ? Promise.resolve() : new Promise(resolve => waitingForStart.push(resolve));
+    },
+    loaded: async () => {},
+    connect: () => {},
+    ToneAudioBuffer: { fromArray: (data) => audioBufferFrom([data], current.sampleRate) },
+    async Offline(callback, duration, channels = 2, rate = sampleRate) {
+      const ctx = createContext(rate);
+      const previous = current;
+      current = ctx;
+      try {
+        await callback({ transport: ctx.transport });
+        const buffer = render(ctx, duration, channels, rate);
+        return { get: () => buffer };
+      } finally {
+        current = previous;
+      }
+    }
+  }, {
+    get(t, key) {
+      if (key in t) return t[key];
+      // constructors: new Tone.Gain(…), new Tone.PolySynth(…), …
+      return function (...args) {
+        const made = node(String(key), typeof args[0] === 'number' ? { value: args[0] } : {});
+        undisposed.add(made);
+        return made;
+      };
+    }
+  });
+  return { Tone, live, gesture, undisposedCount: () => undisposed.size };
+}
+
+module.exports = { createFakeTone, toSeconds, noteFrequency };
@@ -0,0 +1,79 @@
+/* Loads analysis.js and script.js the way index.html does, into a vm context with a bare
+   document (no elements, so every `$id()` lookup comes back null), an in-memory localStorage
+   and the fake Tone from fake-tone.js. `run(expr)` evaluates in the page's global scope,
+   where the script's top-level `let`s and functions are visible; `gesture(expr)` does the
+   same inside a simulated user gesture. */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createFakeTone } = require('./fake-tone.js');
+const { servedAudio, decodeMp3 } = require('./audio.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function loadPage({ href = 'http://localhost/', fetch = null, decodeAudioData = null, sampleRate = 44100, suspended = false, console = globalThis.console } = {}) {
+  const noop = () => {};
+  const store = new Map();
+  const url = new URL(href);
+  const fake = createFakeTone({ sampleRate, decodeAudioData, suspended });
+  const { Tone, live } = fake;
+  const element = () => ({ style: {}, classList: { add: noop, remove: noop, toggle: noop }, setAttribute: noop, appendChild: noop, addEventListener: noop });
+  const document = {
+    readyState: 'complete',
+    documentElement: { clientWidth: 1200 },
+    body: element(),
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createElement: element,
+    addEventListener: noop,
+    removeEventListener: noop
+  };
+  const context = {
+    console, document, Tone, URL, Blob, TextEncoder, TextDecoder, AbortController,
+    setTimeout, clearTimeout, queueMicrotask,
+    fetch: fetch || (async () => { throw new Error('no network in tests'); }),
+    location: { href: url.href, origin: url.origin, pathname: url.pathname, search: url.search, hash: url.hash },
+    history: { replaceState: noop, pushState: noop },
+    navigator: { userAgent: 'node' },
+    localStorage: {
+      getItem: k => (store.has(k) ? store.get(k) : null),
+      setItem: (k, v) => { store.set(k, String(v)); },
+      removeItem: k => { store.delete(k); }
+    },
+    requestAnimationFrame: noop,
+    cancelAnimationFrame: noop,
+    devicePixelRatio: 1,
+    innerWidth: 1200,
+    addEventListener: noop,
+    removeEventListener: noop
+  };
+  context.window = context;
+  context.globalThis = context;
+  vm.createContext(context);
+  for (const file of ['analysis.js', 'script.js']) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+  const run = (expr) => vm.runInContext(expr, context);
+  return {
+    context, Tone, live, store, run,
+    // runs `expr` as if from a click or key press, which is what unlocks a suspended context
+    gesture: (expr) => fake.gesture(() => run(expr)),
+    undisposedToneNodes: fake.undisposedCount
+  };
+}
+
+/* a page that plays `birds` (bundled recordings, by fileName) as its catalog, in the default style */
+function loadPlayer(birds, options = {}) {
+  const page = loadPage({ fetch: async (url) => servedAudio(url), decodeAudioData: decodeMp3, ...options });
+  page.run(`
+    registerStyle(normalizeArrangement(DEFAULT_ARRANGEMENT));
+    catalogRecordings = ${JSON.stringify(birds)};
+    mergeChannels();
+    filteredRecordings = recordings.slice();
+  `);
+  return page;
+}
+
+module.exports = { loadPage, loadPlayer };
@@ -0,0 +1,39 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./helpers/page.js');
+
+const page = loadPage();
+const voicesOf = (fileName) => page.run(`DRUM_VOICES.filter(v => KIT_VOICE_PATTERNS[v].test(${JSON.stringify(fileName)}))`).join(',');
+
+test('kit files are matched to voices by name', () => {
+  const cases = {
+    'kick.wav': 'kick',
+    'Kick 01.wav': 'kick',
+    'BassDrum.aif': 'kick',
+    '808_bd.wav': 'kick',
+    'bd.wav': 'kick',
+    'BD-short.mp3': 'kick',
+    'snare.wav': 'snare',
+    'TR909_SD.wav': 'snare',
+    'clap 2.flac': 'snare',
+    'rim.wav': 'snare',
+    'rimshot.ogg': 'snare',
+    'kit_hh.wav': 'hat',
+    'hat.wav': 'hat',
+    'OpenHat.wav': 'hat',
+    'hi-hat closed.wav': 'hat',
+    'hihat.wav': 'hat',
+    'hats_loop.wav': 'hat',
+    'shaker.wav': 'hat',
+    'Cymbal crash.wav': 'hat'
+  };
+  for (const [fileName, voice] of Object.entries(cases)) assert.equal(voicesOf(fileName), voice, fileName);
+});
+
+test('short voice names inside other words are not matches', () => {
+  for (const fileName of ['what.wav', 'chat.wav', 'that_vox.wav', 'prime.wav', 'trim.wav', 'grim pad.wav', 'sdk.wav', 'abduct.wav', 'shh.wav', 'theme.wav']) {
+    assert.equal(voicesOf(fileName), '', fileName);
+  }
+});
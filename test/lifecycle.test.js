@@ -0,0 +1,41 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { AUDIO_DIR, bundledMp3s } = require('./helpers/audio.js');
+const { loadPlayer } = require('./helpers/page.js');
+
+const SWITCHES = 100;
+
+test(`${SWITCHES} channel switches leave no Tone node behind`, async () => {
+  // the three shortest recordings: decoding and analysing them is most of the test's time
+  const shortest = bundledMp3s().sort((a, b) => fs.statSync(path.join(AUDIO_DIR, a)).size - fs.statSync(path.join(AUDIO_DIR, b)).size);
+  const birds = shortest.slice(0, 3).map((fileName, i) => ({
+    id: fileName.replace(/^XC|\.mp3$/g, ''), species: `Bird ${i}`, fileName, playable: true, length: '0:30', bpmEstimate: 90
+  }));
+  const page = loadPlayer(birds);
+  // nodes made at load time (none today) are the baseline everything must return to
+  const before = page.undisposedToneNodes();
+
+  const counts = [];
+  for (let i = 0; i < SWITCHES; i++) {
+    await page.run(`nowPlaying = filteredRecordings[${i % birds.length}]; playProduction()`);
+    assert.equal(page.run('activeTrack && activeTrack.plan.bird.id'), birds[i % birds.length].id);
+    assert.equal(page.run('liveScopes.size'), 1, `open scopes after switch ${i + 1}`);
+    counts.push(page.undisposedToneNodes() - before);
+  }
+
+  assert.ok(counts[0] > 0);
+  // the same channel always builds the same graph, so a leak shows up as growth between its visits
+  counts.forEach((n, i) => {
+    if (i >= birds.length) assert.equal(n, counts[i - birds.length], `Tone nodes after switch ${i + 1}`);
+  });
+
+  page.run('stopPlay()');
+  assert.equal(page.undisposedToneNodes(), before, 'Tone nodes after stop');
+  assert.equal(page.run('liveNodeCount()'), 0);
+  assert.equal(page.run('liveScopes.size'), 0);
+  assert.equal(page.run('activeTrack'), null);
+});
@@ -0,0 +1,37 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPlayer } = require('./helpers/page.js');
+
+const BIRD = { id: '720456', species: 'Test Warbler', fileName: 'XC720456.mp3', playable: true, length: '0:20', bpmEstimate: 90 };
+
+test('Play starts a request that is waiting for the audio context instead of cancelling it', async () => {
+  // no click or key press yet, like the autoload two seconds after the page opens
+  const page = loadPlayer([BIRD], { suspended: true });
+  const autoload = page.run(`selectBird('${BIRD.id}')`);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(page.run('playRequest && playRequest.awaitingAudio'), true);
+  assert.equal(page.run('activeTrack'), null);
+
+  await page.gesture('togglePlayPause()');
+  await autoload;
+  assert.equal(page.run('activeTrack && activeTrack.plan.bird.id'), BIRD.id);
+  assert.equal(page.run('isPlaying'), true);
+  assert.equal(page.run('playRequest'), null);
+  assert.equal(page.run('liveScopes.size'), 1);
+  page.run('stopPlay()');
+});
+
+test('Play while a production is loading cancels it', async () => {
+  const page = loadPlayer([BIRD]);
+  const loading = page.run(`selectBird('${BIRD.id}')`);
+  assert.equal(page.run('playRequest && playRequest.awaitingAudio'), false);
+
+  await page.gesture('togglePlayPause()');
+  await loading;
+  assert.equal(page.run('playRequest'), null);
+  assert.equal(page.run('activeTrack'), null);
+  assert.equal(page.run('isPlaying'), false);
+  assert.equal(page.run('liveScopes.size'), 0);
+});
@@ -0,0 +1,51 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPlayer } = require('./helpers/page.js');
+
+const BIRD = { id: '720456', species: 'Test Warbler', fileName: 'XC720456.mp3', playable: true, length: '0:20', bpmEstimate: 90 };
+
+// page values come from another realm, so they are compared as JSON
+const valueOf = (page, expr) => JSON.parse(page.run(`JSON.stringify(${expr})`));
+
+test('with a take, edits go to the written pattern and the song is generated from it again', async () => {
+  const page = loadPlayer([BIRD]);
+  page.run('variation.on = true; variation.seed = 12345; variation.locked = true');
+  await page.run('nowPlaying = recordings[0]; playProduction()');
+  const song = () => valueOf(page, 'activeTrack.styleInstance.arrangement');
+  const kicks = () => song().sections.map(sec => song().patterns[sec.pattern].drums.kick.includes(1));
+  const before = song();
+  assert.deepEqual(before.sections.map(sec => sec.pattern), ['main~0', 'main~1', 'main~2', 'main~3', 'main~4', 'main~5']);
+  assert.equal(page.run('syncSequencerTrack() && sequencer.pattern'), 'main');
+
+  page.run(`toggleSequencerStep('kick', 1)`);
+  assert.deepEqual(valueOf(page, 'activeTrack.styleInstance.written.patterns.main.drums.kick'), [0, 1, 8]);
+  // every generated copy of the pattern hears the edit, and the take is otherwise the same song
+  assert.deepEqual(kicks(), [true, true, true, true, true, true]);
+  const after = song();
+  assert.deepEqual(after.sections, before.sections);
+  after.sections.forEach(({ pattern }) => assert.deepEqual(after.patterns[pattern].melody, before.patterns[pattern].melody));
+
+  page.run(`saveCustomStyle('Kick on two')`);
+  const saved = valueOf(page, 'customStyles[0]');
+  assert.deepEqual(Object.keys(saved.patterns), ['main']);
+  assert.deepEqual(saved.patterns.main.drums.kick, [0, 1, 8]);
+  assert.deepEqual(saved.sections, valueOf(page, 'activeTrack.styleInstance.written.sections').map(({ name, pattern, bars }) => ({ name, pattern, bars })));
+
+  page.run('undoSequencer()');
+  assert.deepEqual(kicks(), [false, false, false, false, false, false]);
+  page.run('redoSequencer()');
+  assert.deepEqual(kicks(), [true, true, true, true, true, true]);
+  page.run('stopPlay()');
+});
+
+test('without a take the written arrangement is what plays', async () => {
+  const page = loadPlayer([BIRD]);
+  page.run('variation.on = false');
+  await page.run('nowPlaying = recordings[0]; playProduction()');
+  assert.equal(page.run('activeTrack.styleInstance.arrangement === activeTrack.styleInstance.written'), true);
+  page.run(`toggleSequencerStep('snare', 2)`);
+  assert.deepEqual(valueOf(page, 'activeTrack.styleInstance.arrangement.patterns.main.drums.snare'), [2, 4, 12]);
+  page.run('stopPlay()');
+});